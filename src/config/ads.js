@@ -0,0 +1,13 @@
+// Homepage advertisement settings (override with env vars)
+
+// Number of ad slots on the homepage (slot 1 is shown first)
+const AD_SLOT_COUNT = parseInt(process.env.AD_SLOT_COUNT) || 6;
+
+// Default placement fee per started day (BDT); admins can override it
+// when approving a campaign. 0 = free placements.
+const AD_DAILY_FEE = Number(process.env.AD_DAILY_FEE) || 0;
+
+module.exports = {
+  AD_SLOT_COUNT,
+  AD_DAILY_FEE,
+};
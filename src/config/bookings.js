@@ -0,0 +1,44 @@
+// Booking lifecycle settings (override with env vars)
+
+// Hours a vendor has to accept or reject a booking request
+const VENDOR_RESPONSE_HOURS = Number(process.env.VENDOR_RESPONSE_HOURS) || 24;
+
+// Hours a passenger has to pay once the vendor accepts
+const PAYMENT_WINDOW_HOURS = Number(process.env.PAYMENT_WINDOW_HOURS) || 12;
+
+// Minutes a waitlisted user has to book seats offered to them
+const WAITLIST_CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+
+// Transport types whose bookings must name every passenger, e.g.
+// PASSENGER_DETAILS_REQUIRED_FOR=Plane,Launch,Train (other types: optional)
+const PASSENGER_DETAILS_REQUIRED_FOR = (
+  process.env.PASSENGER_DETAILS_REQUIRED_FOR ?? 'Plane,Launch'
+)
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+// Boarding scans are accepted from this many hours before departure...
+const BOARDING_OPENS_HOURS = Number(process.env.BOARDING_OPENS_HOURS) || 12;
+
+// ...until this many minutes after it (later, unboarded passengers are no-shows)
+const BOARDING_CLOSES_MINUTES = Number(process.env.BOARDING_CLOSES_MINUTES) || 30;
+
+// How often the lifecycle scheduler runs (minutes)
+const BOOKING_SCHEDULER_INTERVAL_MINUTES =
+  Number(process.env.BOOKING_SCHEDULER_INTERVAL_MINUTES) || 5;
+
+// Run the scheduler inside the API server. Set BOOKING_SCHEDULER=off when a
+// separate worker (npm run bookings:worker) or a cron job runs it instead.
+const RUN_BOOKING_SCHEDULER = process.env.BOOKING_SCHEDULER !== 'off';
+
+module.exports = {
+  VENDOR_RESPONSE_HOURS,
+  PAYMENT_WINDOW_HOURS,
+  WAITLIST_CLAIM_MINUTES,
+  PASSENGER_DETAILS_REQUIRED_FOR,
+  BOARDING_OPENS_HOURS,
+  BOARDING_CLOSES_MINUTES,
+  BOOKING_SCHEDULER_INTERVAL_MINUTES,
+  RUN_BOOKING_SCHEDULER,
+};
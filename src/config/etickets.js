@@ -0,0 +1,11 @@
+// E-ticket signing settings (override with env vars)
+
+// Ed25519 private key (PEM) that signs e-ticket QR codes. Newlines may be
+// written as \n. Create one with `npm run etickets:keygen`; scanners verify
+// tickets offline with the public key from GET /api/bookings/eticket-key.
+// Required unless NODE_ENV is development or test.
+const ETICKET_PRIVATE_KEY = (process.env.ETICKET_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+
+module.exports = {
+  ETICKET_PRIVATE_KEY,
+};
@@ -0,0 +1,49 @@
+// Which vendor edits on an APPROVED ticket go live immediately and which
+// ones wait for admin review as a pending revision.
+
+// Request field -> ticket paths it changes
+const EDITABLE_FIELDS = {
+  title: ['title'],
+  image: ['image', 'imageAsset'],
+  imageAssetId: ['image', 'imageAsset'],
+  fromLocation: ['fromLocation', 'fromLocationRef', 'fromTerminal'],
+  toLocation: ['toLocation', 'toLocationRef', 'toTerminal'],
+  transportType: ['transportType'],
+  departureDate: ['departureDate'],
+  departureTime: ['departureTime'],
+  timeZone: ['timeZone'],
+  // Quantity follows the layout when it goes live (see applyRevision)
+  seatLayout: ['seatMap'],
+  price: ['price'],
+  quantity: ['quantity'],
+  perks: ['perks'],
+  durationMinutes: ['durationMinutes'],
+  fareClasses: ['fareClasses'],
+  pricingRules: ['pricingRules'],
+};
+
+// Minor fields that skip review unless overridden with
+// TICKET_DIRECT_EDIT_FIELDS=quantity,perks (comma separated)
+const DEFAULT_DIRECT_EDIT_FIELDS = [
+  'price',
+  'quantity',
+  'perks',
+  'durationMinutes',
+  'fareClasses',
+  'pricingRules',
+];
+
+const getDirectEditFields = () => {
+  if (process.env.TICKET_DIRECT_EDIT_FIELDS === undefined) {
+    return DEFAULT_DIRECT_EDIT_FIELDS;
+  }
+
+  return process.env.TICKET_DIRECT_EDIT_FIELDS.split(',')
+    .map((field) => field.trim())
+    .filter((field) => EDITABLE_FIELDS[field]);
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  getDirectEditFields,
+};
@@ -0,0 +1,7 @@
+// Timezone that departure dates and times are entered in (IANA name).
+// Tickets and schedules can override it; this is the default.
+const DEFAULT_TIMEZONE = process.env.APP_TIMEZONE || 'Asia/Dhaka';
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+
+// Image upload limits and storage settings (override with env vars)
+const MAX_UPLOAD_SIZE =
+  parseInt(process.env.MAX_UPLOAD_SIZE) || 5 * 1024 * 1024; // 5 MB
+
+// Checked against the declared MIME type and again against the decoded image
+const ALLOWED_IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+// Resized copies stored for every upload (original is capped, not cropped)
+const IMAGE_VARIANTS = {
+  original: { width: 1600, height: 1600, fit: 'inside' },
+  card: { width: 800, height: 450, fit: 'cover' },
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+};
+
+// Variant whose URL is copied onto Ticket.image / User.photoURL
+const PRIMARY_VARIANT = {
+  ticket: 'card',
+  profile: 'thumbnail',
+};
+
+// Bulk ticket import files
+const MAX_IMPORT_FILE_SIZE =
+  parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 2 * 1024 * 1024; // 2 MB
+const ALLOWED_IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const UPLOAD_PUBLIC_URL = (process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+module.exports = {
+  MAX_UPLOAD_SIZE,
+  ALLOWED_IMAGE_TYPES,
+  IMAGE_VARIANTS,
+  PRIMARY_VARIANT,
+  MAX_IMPORT_FILE_SIZE,
+  ALLOWED_IMPORT_EXTENSIONS,
+  STORAGE_DRIVER,
+  UPLOAD_DIR,
+  UPLOAD_PUBLIC_URL,
+};
@@ -0,0 +1,383 @@
+const AdCampaign = require('../models/AdCampaign');
+const Ticket = require('../models/Ticket');
+const {
+  OPEN_STATUSES,
+  LIVE_STATUSES,
+  calculatePlacementFee,
+  findOverlapping,
+  refreshTicketAdFlags,
+  scheduleCampaign,
+} = require('../utils/adCampaigns');
+
+// Validate a campaign time window for a ticket.
+// Returns { startsAt, endsAt } or { error }.
+const parseWindow = (body, ticket, now = new Date()) => {
+  const startsAt = body.startsAt ? new Date(body.startsAt) : now;
+  const endsAt = body.endsAt ? new Date(body.endsAt) : ticket.departureDateTime;
+
+  if (isNaN(startsAt.getTime()) || !endsAt || isNaN(endsAt.getTime())) {
+    return { error: 'Please provide valid start and end times' };
+  }
+  if (endsAt <= startsAt) {
+    return { error: 'Campaign must end after it starts' };
+  }
+  if (endsAt <= now) {
+    return { error: 'Campaign end time is in the past' };
+  }
+  if (ticket.departureDateTime && endsAt > ticket.departureDateTime) {
+    return { error: 'Campaign cannot run past the ticket departure' };
+  }
+
+  return { startsAt: startsAt < now ? now : startsAt, endsAt };
+};
+
+// Other approved campaigns sharing the slot (shown by priority)
+const describeOverlap = async (campaign) => {
+  const overlapping = await findOverlapping(
+    campaign.slot,
+    campaign.startsAt,
+    campaign.endsAt,
+    campaign._id
+  );
+  return overlapping.length > 0
+    ? ` Slot ${campaign.slot} is shared with ${overlapping.length} other campaign(s); the highest priority is shown.`
+    : '';
+};
+
+// @desc    Request (vendor) or create (admin) an ad campaign for a ticket
+// @route   POST /api/ads
+// @access  Private/Vendor/Admin
+const createCampaign = async (req, res) => {
+  try {
+    const { ticketId, note } = req.body;
+
+    if (!ticketId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide ticket ID',
+      });
+    }
+
+    const ticket = await Ticket.findById(ticketId);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isAdmin && ticket.vendor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only advertise your own tickets',
+      });
+    }
+
+    if (ticket.verificationStatus !== 'approved' || ticket.isCancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved tickets can be advertised',
+      });
+    }
+
+    const { startsAt, endsAt, error: windowError } = parseWindow(req.body, ticket);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError,
+      });
+    }
+
+    // One campaign per ticket at a time
+    const existing = await AdCampaign.findOne({
+      ticket: ticket._id,
+      status: { $in: OPEN_STATUSES },
+      startsAt: { $lt: endsAt },
+      endsAt: { $gt: startsAt },
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This ticket already has a campaign for this period',
+      });
+    }
+
+    const placementFee = calculatePlacementFee(startsAt, endsAt);
+    const campaign = new AdCampaign({
+      ticket: ticket._id,
+      vendor: ticket.vendor,
+      startsAt,
+      endsAt,
+      // Vendors may ask for a slot; the admin decides
+      slot: req.body.slot || null,
+      placementFee,
+      feeStatus: placementFee > 0 ? 'pending' : 'none',
+      note: note || '',
+      requestedBy: req.user._id,
+    });
+
+    if (isAdmin) {
+      const scheduleError = await scheduleCampaign(campaign, req.body, req.user);
+
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError,
+        });
+      }
+    }
+
+    await campaign.save();
+    if (isAdmin) await refreshTicketAdFlags([ticket._id]);
+
+    res.status(201).json({
+      success: true,
+      message: isAdmin
+        ? `Campaign scheduled in slot ${campaign.slot}.${await describeOverlap(campaign)}`
+        : 'Placement requested. Waiting for admin approval.',
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Create ad campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get ad campaigns (Admin: all, Vendor: own)
+// @route   GET /api/ads?status=requested
+// @access  Private/Vendor/Admin
+const getCampaigns = async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' ? {} : { vendor: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const campaigns = await AdCampaign.find(query)
+      .sort({ createdAt: -1 })
+      .populate('ticket', 'title fromLocation toLocation departureDate departureTime')
+      .populate('vendor', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: { campaigns },
+    });
+  } catch (error) {
+    console.error('Get ad campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Approve a placement request (Admin)
+// @route   PUT /api/ads/:id/approve
+// @access  Private/Admin
+const approveCampaign = async (req, res) => {
+  try {
+    const campaign = await AdCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (campaign.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Only requested campaigns can be approved (this one is ${campaign.status})`,
+      });
+    }
+
+    if (campaign.endsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This campaign has already ended',
+      });
+    }
+
+    const ticket = await Ticket.findById(campaign.ticket);
+
+    if (!ticket || ticket.verificationStatus !== 'approved' || ticket.isCancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved tickets can be advertised',
+      });
+    }
+
+    const scheduleError = await scheduleCampaign(campaign, req.body, req.user);
+
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError,
+      });
+    }
+
+    await campaign.save();
+    await refreshTicketAdFlags([campaign.ticket]);
+
+    res.status(200).json({
+      success: true,
+      message: `Campaign approved for slot ${campaign.slot}.${await describeOverlap(campaign)}`,
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Approve ad campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Reject a placement request (Admin)
+// @route   PUT /api/ads/:id/reject
+// @access  Private/Admin
+const rejectCampaign = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a rejection reason',
+      });
+    }
+
+    const campaign = await AdCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (campaign.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Only requested campaigns can be rejected (this one is ${campaign.status})`,
+      });
+    }
+
+    campaign.status = 'rejected';
+    campaign.rejectionReason = reason;
+    campaign.feeStatus = 'none';
+    campaign.reviewedBy = req.user._id;
+    campaign.reviewedAt = new Date();
+    await campaign.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Campaign rejected',
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Reject ad campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Cancel a campaign (Vendor: own, Admin: any). Fees already
+//          charged for a campaign that went live are kept.
+// @route   DELETE /api/ads/:id
+// @access  Private/Vendor/Admin
+const cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await AdCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (
+      req.user.role !== 'admin' &&
+      campaign.vendor.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this campaign',
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This campaign is already ${campaign.status}`,
+      });
+    }
+
+    campaign.status = 'cancelled';
+    if (campaign.feeStatus === 'pending') campaign.feeStatus = 'none';
+    await campaign.save();
+    await refreshTicketAdFlags([campaign.ticket]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Campaign cancelled',
+      data: { campaign },
+    });
+  } catch (error) {
+    console.error('Cancel ad campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Record a click on an advertised ticket
+// @route   POST /api/ads/:id/click
+// @access  Public
+const recordClick = async (req, res) => {
+  try {
+    const campaign = await AdCampaign.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: LIVE_STATUSES } },
+      { $inc: { clicks: 1 } },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ticketId: campaign.ticket },
+    });
+  } catch (error) {
+    console.error('Record ad click error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  createCampaign,
+  getCampaigns,
+  approveCampaign,
+  rejectCampaign,
+  cancelCampaign,
+  recordClick,
+};
@@ -0,0 +1,168 @@
+const Asset = require('../models/Asset');
+const { storeImage, removeAssetFiles } = require('../utils/assets');
+
+// Which roles can upload images for what
+const PURPOSE_ROLES = {
+  ticket: ['vendor'],
+  profile: ['user', 'vendor', 'admin'],
+};
+
+// @desc    Upload an image (multipart field "image")
+// @route   POST /api/assets
+// @access  Private
+const uploadAsset = async (req, res) => {
+  try {
+    const { purpose } = req.body;
+
+    if (!PURPOSE_ROLES[purpose]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide upload purpose (ticket or profile)',
+      });
+    }
+
+    if (!PURPOSE_ROLES[purpose].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `User role '${req.user.role}' cannot upload ${purpose} images`,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach an image',
+      });
+    }
+
+    const { asset, error } = await storeImage(req.file, req.user, purpose);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: { asset },
+    });
+  } catch (error) {
+    console.error('Upload asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get my uploaded images
+// @route   GET /api/assets
+// @access  Private
+const getMyAssets = async (req, res) => {
+  try {
+    const query = { owner: req.user._id };
+    if (req.query.purpose) query.purpose = req.query.purpose;
+    if (req.query.unused === 'true') query.linkedId = null;
+
+    const assets = await Asset.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { assets },
+    });
+  } catch (error) {
+    console.error('Get assets error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get single uploaded image
+// @route   GET /api/assets/:id
+// @access  Private
+const getAssetById = async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    if (req.user.role !== 'admin' && asset.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this image',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { asset },
+    });
+  } catch (error) {
+    console.error('Get asset by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Delete an uploaded image that is not attached to anything
+// @route   DELETE /api/assets/:id
+// @access  Private
+const deleteAsset = async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    if (req.user.role !== 'admin' && asset.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this image',
+      });
+    }
+
+    if (asset.linkedId) {
+      return res.status(400).json({
+        success: false,
+        message: `This image is used by a ${asset.linkedModel.toLowerCase()} and cannot be deleted`,
+      });
+    }
+
+    await removeAssetFiles(asset);
+    await asset.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  uploadAsset,
+  getMyAssets,
+  getAssetById,
+  deleteAsset,
+};
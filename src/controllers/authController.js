@@ -1,5 +1,8 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const generateToken = require('../utils/generateToken');
+const { resolveAsset, linkAsset } = require('../utils/assets');
+const { parsePassenger } = require('../utils/passengers');
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -161,6 +164,7 @@ const getMe = async (req, res) => {
           photoURL: user.photoURL,
           role: user.role,
           isFraud: user.isFraud,
+          savedTravellers: user.savedTravellers,
           createdAt: user.createdAt,
         },
       },
@@ -179,7 +183,7 @@ const getMe = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
-    const { name, photoURL } = req.body;
+    const { name, photoURL, photoAssetId } = req.body;
 
     const user = await User.findById(req.user._id);
 
@@ -190,12 +194,40 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    // Uploaded photo takes precedence over a plain URL
+    let photoAsset = null;
+    if (photoAssetId) {
+      const { asset, url, error } = await resolveAsset(
+        photoAssetId,
+        req.user,
+        'profile',
+        user
+      );
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      photoAsset = asset;
+      user.photoURL = url;
+      user.photoAsset = asset._id;
+    } else if (photoURL) {
+      user.photoURL = photoURL;
+      user.photoAsset = null;
+    }
+
     // Update fields
     if (name) user.name = name;
-    if (photoURL) user.photoURL = photoURL;
 
     await user.save();
 
+    if (photoAsset) {
+      await linkAsset(photoAsset, 'User', user._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -205,6 +237,7 @@ const updateProfile = async (req, res) => {
           name: user.name,
           email: user.email,
           photoURL: user.photoURL,
+          photoAsset: user.photoAsset,
           role: user.role,
         },
       },
@@ -218,9 +251,152 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Get travellers saved on the profile
+// @route   GET /api/auth/travellers
+// @access  Private
+const getSavedTravellers = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { travellers: req.user.savedTravellers },
+    });
+  } catch (error) {
+    console.error('Get saved travellers error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Save a frequent traveller on the profile
+// @route   POST /api/auth/travellers
+// @access  Private
+const addSavedTraveller = async (req, res) => {
+  try {
+    const { passenger, error } = parsePassenger(req.body, 'Traveller');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.savedTravellers.push(passenger);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Traveller saved successfully',
+      data: { traveller: user.savedTravellers[user.savedTravellers.length - 1] },
+    });
+  } catch (error) {
+    console.error('Add saved traveller error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Update a saved traveller
+// @route   PUT /api/auth/travellers/:travellerId
+// @access  Private
+const updateSavedTraveller = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.travellerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid traveller ID',
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const traveller = user.savedTravellers.id(req.params.travellerId);
+
+    if (!traveller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traveller not found',
+      });
+    }
+
+    // Given fields replace the saved ones
+    const { passenger, error } = parsePassenger(
+      { ...traveller.toObject(), ...req.body },
+      'Traveller'
+    );
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    traveller.set(passenger);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Traveller updated successfully',
+      data: { traveller },
+    });
+  } catch (error) {
+    console.error('Update saved traveller error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Remove a saved traveller (bookings keep their passenger details)
+// @route   DELETE /api/auth/travellers/:travellerId
+// @access  Private
+const deleteSavedTraveller = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.travellerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid traveller ID',
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id, 'savedTravellers._id': req.params.travellerId },
+      { $pull: { savedTravellers: { _id: req.params.travellerId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traveller not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Traveller removed successfully',
+    });
+  } catch (error) {
+    console.error('Delete saved traveller error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
   updateProfile,
+  getSavedTravellers,
+  addSavedTraveller,
+  updateSavedTraveller,
+  deleteSavedTraveller,
 };
\ No newline at end of file
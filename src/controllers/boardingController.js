@@ -0,0 +1,86 @@
+const Ticket = require('../models/Ticket');
+const {
+  findScannedBooking,
+  boardingView,
+  boardBooking,
+  getBoardingSummary,
+} = require('../utils/boarding');
+
+// @desc    Check a scanned e-ticket (or typed-in booking reference) at the
+//          gate and mark its passengers as boarded
+// @route   POST /api/boarding/scan
+// @access  Private/Vendor
+const scanBoardingPass = async (req, res) => {
+  try {
+    const { token, reference, ticketId, passengerIndexes } = req.body || {};
+
+    let result = await findScannedBooking({ token, reference });
+    if (result.booking) {
+      result = await boardBooking(result.booking, req.user, { ticketId, passengerIndexes });
+    }
+
+    if (result.rejected) {
+      const { status, code, message, booking } = result.rejected;
+      return res.status(status).json({
+        success: false,
+        message,
+        data: { result: 'rejected', code, booking },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Boarded: ${result.boarded.join(', ')}`,
+      data: {
+        result: 'accepted',
+        boarded: result.boarded,
+        booking: boardingView(result.booking),
+      },
+    });
+  } catch (error) {
+    console.error('Scan boarding pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Boarding summary of a departure (boarded, no-show, remaining)
+// @route   GET /api/boarding/tickets/:ticketId
+// @access  Private/Vendor (own tickets), Admin
+const getDepartureBoarding = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.ticketId);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (req.user.role !== 'admin' && ticket.vendor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view boarding for this ticket',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await getBoardingSummary(ticket),
+    });
+  } catch (error) {
+    console.error('Get departure boarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  scanBoardingPass,
+  getDepartureBoarding,
+};
@@ -1,27 +1,106 @@
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
 const Booking = require('../models/Booking');
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const AdCampaign = require('../models/AdCampaign');
+const {
+  validateSeatSelection,
+  reserveSeats,
+  releaseSeats,
+} = require('../utils/seatInventory');
+const { computeEffectivePrice } = require('../utils/pricing');
+const {
+  validateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  buildDiscount,
+} = require('../utils/coupons');
+const { releaseBookingResources } = require('../utils/bookingRelease');
+const { placeHold, extendHold, releaseHold } = require('../utils/inventoryHolds');
+const {
+  parseInstantBookingSettings,
+  applyInstantBookingSettings,
+  checkInstantBooking,
+} = require('../utils/instantBooking');
+const {
+  getAvailableQuantity,
+  getOfferedQuantity,
+  claimWaitlistOffer,
+  getWaitlistDemand,
+} = require('../utils/waitlist');
+const { hasDeparted } = require('../utils/departureTime');
+const {
+  PAID_STATUSES,
+  statusEvent,
+  recordStatus,
+  responseDeadlineFor,
+  paymentDeadlineFor,
+} = require('../utils/bookingLifecycle');
+const { buildPassengers } = require('../utils/passengers');
+const {
+  ensureBookingReference,
+  signETicketToken,
+  getETicketPublicKey,
+  sendETicketPdf,
+} = require('../utils/etickets');
+const { PASSENGER_DETAILS_REQUIRED_FOR } = require('../config/bookings');
+const { streamCsv } = require('../utils/csv');
+const {
+  wantsCsv,
+  exportFileName,
+  parseReportFilters,
+  BOOKING_EXPORT_COLUMNS,
+  bookingExportRow,
+  REVENUE_EXPORT_COLUMNS,
+  revenueExportRow,
+} = require('../utils/reportExports');
 
 // @desc    Create new booking (User)
 // @route   POST /api/bookings
 // @access  Private/User
 const createBooking = async (req, res) => {
   try {
-    const { ticketId, bookingQuantity } = req.body;
+    const {
+      ticketId,
+      seatIds,
+      fareClass: fareClassCode,
+      couponCode,
+      passengers: passengerInput,
+    } = req.body;
+
+    // Seat selection decides the quantity when seats are given
+    const hasSeatSelection = Array.isArray(seatIds) && seatIds.length > 0;
+    const givenQuantity = req.body.bookingQuantity;
 
     // Validate required fields
-    if (!ticketId || !bookingQuantity) {
+    if (!ticketId || (!hasSeatSelection && !givenQuantity)) {
       return res.status(400).json({
         success: false,
         message: 'Please provide ticket ID and booking quantity',
       });
     }
 
-    // Validate quantity
-    if (bookingQuantity <= 0) {
+    // Validate quantity (a number or numeric text - parsed once here, only
+    // the number is used below)
+    let bookingQuantity = seatIds?.length;
+    if (givenQuantity) {
+      bookingQuantity = ['number', 'string'].includes(typeof givenQuantity)
+        ? Number(givenQuantity)
+        : NaN;
+    }
+
+    if (!Number.isInteger(bookingQuantity) || bookingQuantity <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Booking quantity must be at least 1',
+        message: 'Booking quantity must be a whole number of at least 1',
+      });
+    }
+
+    if (hasSeatSelection && bookingQuantity !== seatIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking quantity must match the number of selected seats',
       });
     }
 
@@ -35,8 +114,8 @@ const createBooking = async (req, res) => {
       });
     }
 
-    // Check if ticket is approved
-    if (ticket.verificationStatus !== 'approved') {
+    // Check if ticket is approved (and the trip still runs)
+    if (ticket.verificationStatus !== 'approved' || ticket.isCancelled) {
       return res.status(400).json({
         success: false,
         message: 'This ticket is not available for booking',
@@ -44,45 +123,194 @@ const createBooking = async (req, res) => {
     }
 
     // Check if ticket has expired
-    const departureDateTime = new Date(ticket.departureDate);
-    const [hours, minutes] = ticket.departureTime.split(':');
-    departureDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-    if (departureDateTime < new Date()) {
+    if (ticket.isExpired) {
       return res.status(400).json({
         success: false,
         message: 'This ticket has already departed',
       });
     }
 
-    // Check if enough quantity available
-    if (bookingQuantity > ticket.quantity) {
+    // Tickets with fare classes must be booked in one class
+    let fareClass = null;
+    if (ticket.fareClasses.length > 0) {
+      fareClass = ticket.getFareClass(fareClassCode);
+
+      if (!fareClass) {
+        return res.status(400).json({
+          success: false,
+          message: `Please select a fare class: ${ticket.fareClasses
+            .map((fc) => fc.code)
+            .join(', ')}`,
+        });
+      }
+    }
+
+    // Check if enough quantity available (seats offered to waitlisted
+    // users are kept for them)
+    const available =
+      getAvailableQuantity(ticket, fareClass?.code) -
+      (await getOfferedQuantity(ticket._id, fareClass?.code, req.user._id));
+
+    if (bookingQuantity > available) {
+      return res.status(400).json({
+        success: false,
+        message:
+          available > 0
+            ? `Only ${available}${fareClass ? ` ${fareClass.name}` : ''} tickets available`
+            : 'Sold out. Join the waitlist to get an offer when seats free up.',
+        data: { canJoinWaitlist: true },
+      });
+    }
+
+    // Who is travelling - one passenger per ticket, required by law for
+    // some transport types
+    const { passengers, error: passengerError } = buildPassengers(passengerInput, {
+      quantity: bookingQuantity,
+      seats: ticket.hasSeatMap ? seatIds : [],
+      savedTravellers: req.user.savedTravellers,
+      required: PASSENGER_DETAILS_REQUIRED_FOR.includes(ticket.transportType),
+    });
+
+    if (passengerError) {
       return res.status(400).json({
         success: false,
-        message: `Only ${ticket.quantity} tickets available`,
+        message: passengerError,
       });
     }
 
-    // Calculate total price
-    const totalPrice = ticket.price * bookingQuantity;
+    // Calculate subtotal (with the vendor's pricing rules applied)
+    const pricing = computeEffectivePrice(ticket, fareClass);
+    const unitPrice = pricing.unitPrice;
+    const subtotal = unitPrice * bookingQuantity;
+
+    // Check coupon before reserving anything
+    let coupon = null;
+    let discountAmount = 0;
+    if (couponCode) {
+      const result = await validateCoupon(couponCode, ticket, subtotal);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      ({ coupon, discountAmount } = result);
+    }
 
-    // Create booking with ticket snapshot
-    const booking = await Booking.create({
-      ticket: ticketId,
-      user: req.user._id,
-      bookingQuantity,
-      totalPrice,
-      status: 'pending', // Initial status
-      ticketSnapshot: {
-        title: ticket.title,
-        fromLocation: ticket.fromLocation,
-        toLocation: ticket.toLocation,
-        departureDate: ticket.departureDate,
-        departureTime: ticket.departureTime,
-        transportType: ticket.transportType,
-        unitPrice: ticket.price,
-      },
+    // Tickets with a seat map must be booked by seat
+    const seats = ticket.hasSeatMap ? seatIds : [];
+
+    if (ticket.hasSeatMap) {
+      const seatError = validateSeatSelection(ticket, seatIds, fareClass);
+      if (seatError) {
+        return res.status(400).json({
+          success: false,
+          message: seatError,
+        });
+      }
+
+      const reserved = await reserveSeats(ticket._id, seats);
+      if (!reserved) {
+        return res.status(409).json({
+          success: false,
+          message: 'One or more selected seats are no longer available',
+        });
+      }
+    } else if (Array.isArray(seatIds) && seatIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This ticket does not support seat selection',
+      });
+    }
+
+    // Vendor's instant booking rules may accept the booking right away,
+    // otherwise the vendor has until the response deadline
+    const instant = await checkInstantBooking(ticket, req.user, bookingQuantity);
+    const departure = { departureAt: ticket.departureDateTime };
+    const responseDeadline = instant.accepted ? null : responseDeadlineFor(departure);
+    const paymentDeadline = instant.accepted ? paymentDeadlineFor(departure) : null;
+
+    // Hold the tickets until then. The check is repeated atomically so two
+    // requests can't both take the last tickets.
+    const bookingId = new mongoose.Types.ObjectId();
+    const held = await placeHold(ticket._id, {
+      bookingId,
+      fareClass: fareClass?.code,
+      quantity: bookingQuantity,
+      expiresAt: responseDeadline || paymentDeadline,
     });
+    if (!held) {
+      await releaseSeats(ticket._id, seats);
+      return res.status(409).json({
+        success: false,
+        message: 'Not enough tickets left. Join the waitlist to get an offer when seats free up.',
+        data: { canJoinWaitlist: true },
+      });
+    }
+
+    // Claim the coupon use (atomic, safe under concurrent redemptions)
+    if (coupon) {
+      const redeemError = await redeemCoupon(coupon, req.user._id);
+      if (redeemError) {
+        await releaseSeats(ticket._id, seats);
+        await releaseHold(ticket._id, bookingId);
+        return res.status(400).json({
+          success: false,
+          message: redeemError,
+        });
+      }
+    }
+
+    // Create booking with ticket snapshot
+    let booking;
+    try {
+      booking = await Booking.create({
+        _id: bookingId,
+        ticket: ticketId,
+        user: req.user._id,
+        bookingQuantity,
+        seats,
+        passengers,
+        subtotal,
+        discount: coupon ? buildDiscount(coupon, discountAmount) : undefined,
+        totalPrice: subtotal - discountAmount,
+        pricing,
+        status: instant.accepted ? 'accepted' : 'pending', // Initial status
+        statusHistory: [
+          statusEvent('pending', req.user),
+          ...(instant.accepted ? [statusEvent('accepted', null, instant.rule.description)] : []),
+        ],
+        responseDeadline,
+        paymentDeadline,
+        instantBookingRule: instant.accepted
+          ? { source: instant.rule.source, description: instant.rule.description }
+          : null,
+        ticketSnapshot: {
+          title: ticket.title,
+          fromLocation: ticket.fromLocation,
+          toLocation: ticket.toLocation,
+          departureDate: ticket.departureDate,
+          departureTime: ticket.departureTime,
+          departureAt: ticket.departureDateTime,
+          timeZone: ticket.timeZone,
+          transportType: ticket.transportType,
+          durationMinutes: ticket.durationMinutes,
+          unitPrice,
+          fareClass: fareClass
+            ? { code: fareClass.code, name: fareClass.name }
+            : undefined,
+        },
+      });
+    } catch (error) {
+      // Don't keep seats, holds or coupon uses for a booking that was never created
+      await releaseSeats(ticket._id, seats);
+      await releaseHold(ticket._id, bookingId);
+      await releaseCoupon(coupon?._id, req.user._id);
+      throw error;
+    }
+
+    // A waitlist offer (or place in the queue) is used up by this booking
+    await claimWaitlistOffer(ticket._id, req.user._id, fareClass?.code, booking._id);
 
     // Populate user and ticket details
     await booking.populate('user', 'name email');
@@ -90,8 +318,13 @@ const createBooking = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Booking request created successfully. Waiting for vendor approval.',
-      data: { booking },
+      message: instant.accepted
+        ? 'Booking accepted instantly. Please complete the payment before the deadline.'
+        : 'Booking request created successfully. Waiting for vendor approval.',
+      data: {
+        booking,
+        instantBooking: instant.accepted ? instant.rule : null,
+      },
     });
   } catch (error) {
     console.error('Create booking error:', error);
@@ -169,21 +402,125 @@ const getBookingById = async (req, res) => {
   }
 };
 
+// @desc    Download the e-ticket of a paid booking as a PDF with a signed
+//          QR code (?format=json for the reference, token and QR image)
+// @route   GET /api/bookings/:id/eticket
+// @access  Private (booking owner, ticket vendor, admin)
+const getBookingETicket = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('ticket', 'vendor');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const isOwner = booking.user._id.toString() === req.user._id.toString();
+    const isVendor =
+      req.user.role === 'vendor' &&
+      booking.ticket?.vendor.toString() === req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isOwner && !isVendor && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this e-ticket',
+      });
+    }
+
+    if (!PAID_STATUSES.includes(booking.status) || booking.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'E-tickets are issued once the booking is paid',
+      });
+    }
+
+    await ensureBookingReference(booking);
+    const token = signETicketToken(booking);
+
+    if (String(req.query.format || '').toLowerCase() === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          reference: booking.reference,
+          token,
+          qrCode: await QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1 }),
+        },
+      });
+    }
+
+    await sendETicketPdf(res, booking, token);
+  } catch (error) {
+    console.error('Get e-ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Public key that verifies e-ticket QR codes offline (Ed25519)
+// @route   GET /api/bookings/eticket-key
+// @access  Public
+const getETicketKey = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        algorithm: 'Ed25519',
+        publicKey: getETicketPublicKey(),
+        tokenFormat: 'TB1.<base64url JSON payload>.<base64url signature of "TB1.<payload>">',
+      },
+    });
+  } catch (error) {
+    console.error('Get e-ticket key error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
 // @desc    Get bookings for vendor's tickets (Requested Bookings)
-// @route   GET /api/bookings/vendor/requests
+// @route   GET /api/bookings/vendor/requests?dateFrom=&dateTo=&ticketId=&format=csv
 // @access  Private/Vendor
 const getVendorBookingRequests = async (req, res) => {
   try {
+    const { filter, error: filterError } = parseReportFilters(req.query, 'createdAt');
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
     // Get all tickets by this vendor
     const vendorTickets = await Ticket.find({ vendor: req.user._id });
     const ticketIds = vendorTickets.map((ticket) => ticket._id);
 
     // Get all bookings for these tickets
-    const bookings = await Booking.find({ ticket: { $in: ticketIds } })
+    const query = Booking.find({ $and: [{ ticket: { $in: ticketIds } }, filter] })
       .sort({ createdAt: -1 })
       .populate('user', 'name email photoURL')
       .populate('ticket', 'title image fromLocation toLocation transportType');
 
+    if (wantsCsv(req)) {
+      return streamCsv(
+        res,
+        exportFileName('bookings'),
+        BOOKING_EXPORT_COLUMNS.filter((column) => column.key !== 'vendorName'),
+        query.cursor(),
+        bookingExportRow
+      );
+    }
+
+    const bookings = await query;
+
     res.status(200).json({
       success: true,
       data: { bookings },
@@ -229,19 +566,33 @@ const acceptBooking = async (req, res) => {
     }
 
     // Check if ticket has expired
-    const departureDateTime = new Date(booking.ticketSnapshot.departureDate);
-    const [hours, minutes] = booking.ticketSnapshot.departureTime.split(':');
-    departureDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-    if (departureDateTime < new Date()) {
+    if (hasDeparted(booking.ticketSnapshot)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot accept booking for expired ticket',
       });
     }
 
-    // Update booking status
-    booking.status = 'accepted';
+    if (booking.responseDeadline && booking.responseDeadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The response deadline for this booking has passed',
+      });
+    }
+
+    // Keep the tickets held until the payment deadline
+    const paymentDeadline = paymentDeadlineFor(booking.ticketSnapshot);
+    const held = await extendHold(booking.ticket._id, booking, paymentDeadline);
+    if (!held) {
+      return res.status(409).json({
+        success: false,
+        message: 'Not enough tickets left to accept this booking',
+      });
+    }
+
+    // Update booking status; the passenger now has a payment deadline
+    recordStatus(booking, 'accepted', req.user);
+    booking.paymentDeadline = paymentDeadline;
     await booking.save();
 
     res.status(200).json({
@@ -289,9 +640,12 @@ const rejectBooking = async (req, res) => {
     }
 
     // Update booking status
-    booking.status = 'rejected';
+    recordStatus(booking, 'rejected', req.user, req.body?.reason || '');
     await booking.save();
 
+    // Free the selected seats and coupon use
+    await releaseBookingResources(booking);
+
     res.status(200).json({
       success: true,
       message: 'Booking rejected',
@@ -336,11 +690,16 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    await booking.deleteOne();
+    recordStatus(booking, 'cancelled', req.user, req.body?.reason || '');
+    await booking.save();
+
+    // Free the selected seats and coupon use
+    await releaseBookingResources(booking);
 
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
+      data: { booking },
     });
   } catch (error) {
     console.error('Cancel booking error:', error);
@@ -351,20 +710,108 @@ const cancelBooking = async (req, res) => {
   }
 };
 
-// @desc    Get vendor revenue overview
-// @route   GET /api/bookings/vendor/revenue
+// @desc    Get vendor's instant booking settings
+// @route   GET /api/bookings/vendor/instant-booking
+// @access  Private/Vendor
+const getInstantBookingSettings = async (req, res) => {
+  try {
+    const vendor = await User.findById(req.user._id).select('instantBooking');
+
+    res.status(200).json({
+      success: true,
+      data: { instantBooking: vendor.instantBooking },
+    });
+  } catch (error) {
+    console.error('Get instant booking settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Update vendor's instant booking settings (all their tickets,
+//          unless a ticket has its own)
+// @route   PUT /api/bookings/vendor/instant-booking
+// @access  Private/Vendor
+const updateInstantBookingSettings = async (req, res) => {
+  try {
+    const { settings, error } = parseInstantBookingSettings(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const vendor = await User.findById(req.user._id);
+    applyInstantBookingSettings(vendor, settings);
+    await vendor.save();
+
+    res.status(200).json({
+      success: true,
+      message: vendor.instantBooking.enabled
+        ? 'Instant booking is on. New bookings matching your rules are accepted automatically.'
+        : 'Instant booking is off. New bookings wait for your response.',
+      data: { instantBooking: vendor.instantBooking },
+    });
+  } catch (error) {
+    console.error('Update instant booking settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get vendor revenue overview (CSV: one line per paid booking)
+// @route   GET /api/bookings/vendor/revenue?dateFrom=&dateTo=&ticketId=&format=csv
 // @access  Private/Vendor
 const getVendorRevenue = async (req, res) => {
   try {
+    // Date range applies to the payment date
+    const { filter, error: filterError } = parseReportFilters(req.query, 'paidAt');
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
     // Get all tickets by this vendor
     const vendorTickets = await Ticket.find({ vendor: req.user._id });
     const ticketIds = vendorTickets.map((ticket) => ticket._id);
 
+    // A ticket filter must name one of the vendor's own tickets
+    if (filter.ticket && !ticketIds.some((id) => id.equals(filter.ticket))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const reportTicketIds = filter.ticket ? [filter.ticket] : ticketIds;
+    const paidQuery = {
+      $and: [{ ticket: { $in: ticketIds } }, { status: { $in: PAID_STATUSES } }, filter],
+    };
+
+    if (wantsCsv(req)) {
+      return streamCsv(
+        res,
+        exportFileName('revenue'),
+        REVENUE_EXPORT_COLUMNS,
+        Booking.find(paidQuery)
+          .sort({ paidAt: 1 })
+          .populate('user', 'name email')
+          .cursor(),
+        revenueExportRow
+      );
+    }
+
     // Get all paid bookings for these tickets
-    const paidBookings = await Booking.find({
-      ticket: { $in: ticketIds },
-      status: 'paid',
-    });
+    const paidBookings = await Booking.find(paidQuery);
 
     // Calculate total revenue
     const totalRevenue = paidBookings.reduce(
@@ -381,12 +828,29 @@ const getVendorRevenue = async (req, res) => {
     // Total tickets added
     const totalTicketsAdded = vendorTickets.length;
 
+    // Placement fees charged for ad campaigns in the same period
+    const adFilter = { vendor: req.user._id, feeStatus: 'charged' };
+    if (filter.paidAt) adFilter.chargedAt = filter.paidAt;
+    if (filter.ticket) adFilter.ticket = filter.ticket;
+    const chargedCampaigns = await AdCampaign.find(adFilter).select('placementFee');
+    const adSpend = chargedCampaigns.reduce(
+      (sum, campaign) => sum + campaign.placementFee,
+      0
+    );
+
+    // Seats users are still waiting for (demand signal)
+    const demand = await getWaitlistDemand(reportTicketIds);
+    const waitlistedSeats = [...demand.values()].reduce((sum, item) => sum + item.seats, 0);
+
     res.status(200).json({
       success: true,
       data: {
         totalRevenue,
         totalTicketsSold,
         totalTicketsAdded,
+        waitlistedSeats,
+        adSpend,
+        netRevenue: totalRevenue - adSpend,
         currency: 'BDT',
       },
     });
@@ -400,14 +864,35 @@ const getVendorRevenue = async (req, res) => {
 };
 
 // @desc    Get all bookings (Admin)
-// @route   GET /api/bookings/admin/all
+// @route   GET /api/bookings/admin/all?dateFrom=&dateTo=&ticketId=&format=csv
 // @access  Private/Admin
 const getAllBookings = async (req, res) => {
   try {
-    const bookings = await Booking.find()
+    const { filter, error: filterError } = parseReportFilters(req.query, 'createdAt');
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const query = Booking.find(filter)
       .sort({ createdAt: -1 })
       .populate('user', 'name email')
-      .populate('ticket', 'title fromLocation toLocation transportType vendor');
+      .populate('ticket', 'title fromLocation toLocation transportType vendor vendorName');
+
+    if (wantsCsv(req)) {
+      return streamCsv(
+        res,
+        exportFileName('all-bookings'),
+        BOOKING_EXPORT_COLUMNS,
+        query.cursor(),
+        bookingExportRow
+      );
+    }
+
+    const bookings = await query;
 
     res.status(200).json({
       success: true,
@@ -426,10 +911,14 @@ module.exports = {
   createBooking,
   getMyBookings,
   getBookingById,
+  getBookingETicket,
+  getETicketKey,
   getVendorBookingRequests,
   acceptBooking,
   rejectBooking,
   cancelBooking,
+  getInstantBookingSettings,
+  updateInstantBookingSettings,
   getVendorRevenue,
   getAllBookings,
 };
\ No newline at end of file
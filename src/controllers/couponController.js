@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const Ticket = require('../models/Ticket');
+const { computeEffectivePrice } = require('../utils/pricing');
+const { validateCoupon } = require('../utils/coupons');
+const { PAID_STATUSES } = require('../utils/bookingLifecycle');
+
+// Fields an admin/vendor can set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscountAmount',
+  'minOrderAmount',
+  'maxUses',
+  'maxUsesPerUser',
+  'validFrom',
+  'validUntil',
+  'restrictions',
+  'isActive',
+];
+
+// Vendors can only manage their own coupons
+const canManageCoupon = (coupon, user) =>
+  user.role === 'admin' || coupon.createdBy.toString() === user._id.toString();
+
+// Usage numbers per coupon, built from the bookings that used it
+const aggregateUsage = async (match = {}) => {
+  return Booking.aggregate([
+    { $match: { 'discount.coupon': { $ne: null }, ...match } },
+    {
+      $group: {
+        _id: '$discount.coupon',
+        redemptions: { $sum: 1 },
+        paidRedemptions: {
+          $sum: { $cond: [{ $in: ['$status', PAID_STATUSES] }, 1, 0] },
+        },
+        totalDiscount: {
+          $sum: {
+            $cond: [{ $in: ['$status', PAID_STATUSES] }, '$discount.amount', 0],
+          },
+        },
+        paidRevenue: {
+          $sum: { $cond: [{ $in: ['$status', PAID_STATUSES] }, '$totalPrice', 0] },
+        },
+        users: { $addToSet: '$user' },
+      },
+    },
+    {
+      $project: {
+        redemptions: 1,
+        paidRedemptions: 1,
+        totalDiscount: 1,
+        paidRevenue: 1,
+        uniqueUsers: { $size: '$users' },
+      },
+    },
+  ]);
+};
+
+// @desc    Create coupon (Admin/Vendor)
+// @route   POST /api/coupons
+// @access  Private/Admin/Vendor
+const createCoupon = async (req, res) => {
+  try {
+    const data = {};
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    // Vendor coupons only apply to the vendor's own tickets
+    if (req.user.role === 'vendor') {
+      data.restrictions = {
+        ...(data.restrictions || {}),
+        vendors: [req.user._id],
+      };
+    }
+
+    const coupon = await Coupon.create({
+      ...data,
+      usedCount: 0,
+      createdBy: req.user._id,
+      createdByRole: req.user.role,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon },
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message:
+        error.code === 11000
+          ? 'A coupon with this code already exists'
+          : error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get coupons (Admin: all, Vendor: own)
+// @route   GET /api/coupons
+// @access  Private/Admin/Vendor
+const getCoupons = async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' ? {} : { createdBy: req.user._id };
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { coupons },
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin/Vendor
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    if (!canManageCoupon(coupon, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this coupon',
+      });
+    }
+
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    // Vendors cannot widen a coupon to other vendors' tickets
+    if (coupon.createdByRole === 'vendor') {
+      coupon.restrictions.vendors = [coupon.createdBy];
+    }
+
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon },
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Deactivate coupon (existing bookings keep their discount)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin/Vendor
+const deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    if (!canManageCoupon(coupon, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to deactivate this coupon',
+      });
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deactivated successfully',
+      data: { coupon },
+    });
+  } catch (error) {
+    console.error('Deactivate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Preview a coupon discount for a ticket (does not redeem it)
+// @route   POST /api/coupons/validate
+// @access  Private/User
+const validateCouponCode = async (req, res) => {
+  try {
+    const { code, ticketId, bookingQuantity = 1, fareClass } = req.body;
+
+    if (!code || !ticketId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide coupon code and ticket ID',
+      });
+    }
+
+    const ticket = await Ticket.findById(ticketId);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const { unitPrice } = computeEffectivePrice(ticket, ticket.getFareClass(fareClass));
+    const subtotal = unitPrice * bookingQuantity;
+    const result = await validateCoupon(code, ticket, subtotal);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: result.coupon.code,
+        subtotal,
+        discountAmount: result.discountAmount,
+        totalPrice: subtotal - result.discountAmount,
+      },
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Usage report for every coupon campaign (Admin)
+// @route   GET /api/coupons/admin/usage
+// @access  Private/Admin
+const getCouponUsageReport = async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email role');
+    const usage = await aggregateUsage();
+    const usageByCoupon = new Map(usage.map((item) => [item._id.toString(), item]));
+
+    const report = coupons.map((coupon) => {
+      const stats = usageByCoupon.get(coupon._id.toString()) || {};
+      return {
+        coupon: {
+          _id: coupon._id,
+          code: coupon.code,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+          maxUses: coupon.maxUses,
+          validFrom: coupon.validFrom,
+          validUntil: coupon.validUntil,
+          isActive: coupon.isActive,
+          createdBy: coupon.createdBy,
+        },
+        activeUses: coupon.usedCount,
+        redemptions: stats.redemptions || 0,
+        paidRedemptions: stats.paidRedemptions || 0,
+        uniqueUsers: stats.uniqueUsers || 0,
+        totalDiscount: stats.totalDiscount || 0,
+        paidRevenue: stats.paidRevenue || 0,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { report, currency: 'BDT' },
+    });
+  } catch (error) {
+    console.error('Get coupon usage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Usage of a single coupon
+// @route   GET /api/coupons/:id/usage
+// @access  Private/Admin/Vendor
+const getCouponUsage = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    if (!canManageCoupon(coupon, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this coupon',
+      });
+    }
+
+    const [stats = {}] = await aggregateUsage({
+      'discount.coupon': new mongoose.Types.ObjectId(coupon._id),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupon,
+        activeUses: coupon.usedCount,
+        redemptions: stats.redemptions || 0,
+        paidRedemptions: stats.paidRedemptions || 0,
+        uniqueUsers: stats.uniqueUsers || 0,
+        totalDiscount: stats.totalDiscount || 0,
+        paidRevenue: stats.paidRevenue || 0,
+        currency: 'BDT',
+      },
+    });
+  } catch (error) {
+    console.error('Get coupon usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  getCoupons,
+  updateCoupon,
+  deactivateCoupon,
+  validateCouponCode,
+  getCouponUsageReport,
+  getCouponUsage,
+};
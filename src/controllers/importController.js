@@ -0,0 +1,315 @@
+const ImportJob = require('../models/ImportJob');
+const Ticket = require('../models/Ticket');
+const {
+  IMPORT_COLUMNS,
+  parseTicketFile,
+  validateImportRows,
+} = require('../utils/ticketImport');
+const { toCsv } = require('../utils/csv');
+
+// Job summary without the per-row details
+const summarizeJob = (job) => ({
+  _id: job._id,
+  fileName: job.fileName,
+  format: job.format,
+  status: job.status,
+  totalRows: job.totalRows,
+  validRows: job.validRows,
+  invalidRows: job.invalidRows,
+  createdCount: job.createdCount,
+  failureReason: job.failureReason,
+  confirmedAt: job.confirmedAt,
+  completedAt: job.completedAt,
+  createdAt: job.createdAt,
+});
+
+// Rows that failed validation, for the dry-run report
+const invalidRowsOf = (job) =>
+  job.rows
+    .filter((row) => row.issues.length > 0)
+    .map((row) => ({ rowNumber: row.rowNumber, errors: row.issues, values: row.raw }));
+
+const findOwnJob = async (req, res) => {
+  const job = await ImportJob.findById(req.params.id);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Import not found',
+    });
+    return null;
+  }
+
+  if (job.vendor.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this import',
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// @desc    Download an empty import template
+// @route   GET /api/imports/tickets/template
+// @access  Private/Vendor
+const getImportTemplate = async (req, res) => {
+  const columns = IMPORT_COLUMNS.map((column) => ({ key: column, header: column }));
+  const example = {
+    title: 'Dhaka to Chattogram Express',
+    image: 'https://example.com/bus.jpg',
+    fromLocation: 'Dhaka (Gabtoli)',
+    toLocation: 'Chattogram',
+    transportType: 'Bus',
+    price: 900,
+    quantity: 40,
+    departureDate: '2030-01-15',
+    departureTime: '08:30',
+    timeZone: 'Asia/Dhaka',
+    perks: 'AC|WiFi',
+    durationMinutes: 360,
+  };
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="ticket-import-template.csv"');
+  res.status(200).send(toCsv(columns, [example]));
+};
+
+// @desc    Upload a CSV/XLSX file of tickets and validate it (dry run)
+// @route   POST /api/imports/tickets
+// @access  Private/Vendor
+const uploadTicketImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a .csv or .xlsx file',
+      });
+    }
+
+    const { format, rows, error } = await parseTicketFile(req.file);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const results = await validateImportRows(rows, req.user);
+    const validRows = results.filter((row) => row.issues.length === 0).length;
+
+    const job = await ImportJob.create({
+      vendor: req.user._id,
+      fileName: req.file.originalname,
+      format,
+      totalRows: results.length,
+      validRows,
+      invalidRows: results.length - validRows,
+      rows: results.map(({ rowNumber, raw, issues }) => ({ rowNumber, raw, issues })),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${validRows} of ${results.length} rows are valid. Confirm the import to create them.`,
+      data: {
+        job: summarizeJob(job),
+        invalidRows: invalidRowsOf(job),
+      },
+    });
+  } catch (error) {
+    console.error('Upload ticket import error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Create the valid rows of a validated import as pending tickets
+// @route   POST /api/imports/:id/confirm
+// @access  Private/Vendor
+const confirmTicketImport = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    // Claim the job so a double click cannot import it twice
+    const claimed = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: 'validated' },
+      { status: 'importing', confirmedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: `This import is already ${job.status}`,
+      });
+    }
+
+    try {
+      // Check again - the catalog or the clock may have moved since the dry run
+      const candidates = claimed.rows.filter((row) => row.issues.length === 0);
+      const results = await validateImportRows(
+        candidates.map((row) => ({ rowNumber: row.rowNumber, raw: row.raw })),
+        req.user
+      );
+      const resultByRow = new Map(results.map((result) => [result.rowNumber, result]));
+      const tickets = results
+        .filter((result) => result.issues.length === 0)
+        .map((result) => result.ticket);
+
+      // Unordered insert - one failing row does not stop the rest
+      let created;
+      try {
+        created = await Ticket.insertMany(tickets, { ordered: false });
+      } catch (insertError) {
+        if (!insertError.insertedDocs) throw insertError;
+        created = insertError.insertedDocs;
+      }
+      const ticketIds = new Set(created.map((ticket) => ticket._id.toString()));
+
+      claimed.rows.forEach((row) => {
+        const result = resultByRow.get(row.rowNumber);
+        if (!result) return;
+
+        if (result.issues.length > 0) {
+          row.issues = result.issues;
+        } else if (ticketIds.has(result.ticket._id.toString())) {
+          row.ticket = result.ticket._id;
+        } else {
+          row.issues = [{ field: null, message: 'Ticket could not be saved' }];
+        }
+      });
+
+      claimed.createdCount = created.length;
+      claimed.validRows = created.length;
+      claimed.invalidRows = claimed.totalRows - created.length;
+      claimed.status = 'completed';
+      claimed.completedAt = new Date();
+      claimed.markModified('rows');
+      await claimed.save();
+    } catch (importError) {
+      claimed.status = 'failed';
+      claimed.failureReason = importError.message;
+      claimed.completedAt = new Date();
+      await claimed.save();
+      throw importError;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${claimed.createdCount} tickets created. Waiting for admin approval.`,
+      data: {
+        job: summarizeJob(claimed),
+        invalidRows: invalidRowsOf(claimed),
+      },
+    });
+  } catch (error) {
+    console.error('Confirm ticket import error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get my imports
+// @route   GET /api/imports
+// @access  Private/Vendor
+const getMyImports = async (req, res) => {
+  try {
+    const jobs = await ImportJob.find({ vendor: req.user._id })
+      .select('-rows')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { jobs: jobs.map(summarizeJob) },
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get import status and row errors
+// @route   GET /api/imports/:id
+// @access  Private/Vendor
+const getImportById = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: summarizeJob(job),
+        invalidRows: invalidRowsOf(job),
+        createdTickets: job.rows.filter((row) => row.ticket).map((row) => row.ticket),
+      },
+    });
+  } catch (error) {
+    console.error('Get import by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Download the error report of an import as CSV
+// @route   GET /api/imports/:id/report
+// @access  Private/Vendor
+const downloadImportReport = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    // One line per problem, with the original values for context
+    const columns = [
+      { key: 'rowNumber', header: 'row' },
+      { key: 'field', header: 'field' },
+      { key: 'error', header: 'error' },
+      ...IMPORT_COLUMNS.map((column) => ({ key: column, header: column })),
+    ];
+    const lines = [];
+    job.rows.forEach((row) => {
+      row.issues.forEach((issue) => {
+        lines.push({
+          ...row.raw,
+          rowNumber: row.rowNumber,
+          field: issue.field,
+          error: issue.message,
+        });
+      });
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="import-${job._id}-errors.csv"`
+    );
+    res.status(200).send(toCsv(columns, lines));
+  } catch (error) {
+    console.error('Download import report error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getImportTemplate,
+  uploadTicketImport,
+  confirmTicketImport,
+  getMyImports,
+  getImportById,
+  downloadImportReport,
+};
@@ -0,0 +1,273 @@
+const Location = require('../models/Location');
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const { normalizeLocationName } = require('../utils/locationNames');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Fields an admin can set on a location
+const LOCATION_FIELDS = [
+  'name',
+  'nameBn',
+  'aliases',
+  'district',
+  'division',
+  'transportTypes',
+  'terminals',
+  'isActive',
+];
+
+// @desc    Get locations (optionally by division/transport type)
+// @route   GET /api/locations
+// @access  Public
+const getLocations = async (req, res) => {
+  try {
+    const { division, district, transportType } = req.query;
+
+    const query = { isActive: true };
+    if (division) query.division = division;
+    if (district) query.district = district;
+    if (transportType) query.transportTypes = transportType;
+
+    const locations = await Location.find(query)
+      .select('-searchKeys')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { locations },
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Autocomplete location names (English or Bangla)
+// @route   GET /api/locations/autocomplete?q=dha
+// @access  Public
+const autocompleteLocations = async (req, res) => {
+  try {
+    const { q, transportType } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 25);
+    const normalized = normalizeLocationName(q);
+
+    if (!normalized) {
+      return res.status(200).json({
+        success: true,
+        data: { suggestions: [] },
+      });
+    }
+
+    // Prefix match on any spelling (uses the searchKeys index)
+    const query = {
+      isActive: true,
+      searchKeys: { $regex: `^${escapeRegex(normalized)}` },
+    };
+    if (transportType) query.transportTypes = transportType;
+
+    const locations = await Location.find(query)
+      .select('name nameBn district division transportTypes terminals')
+      .limit(limit);
+
+    // Exact-start matches on the canonical name first
+    const suggestions = locations
+      .map((location) => ({
+        _id: location._id,
+        name: location.name,
+        nameBn: location.nameBn,
+        district: location.district,
+        division: location.division,
+        transportTypes: location.transportTypes,
+        terminals: location.terminals
+          .filter(
+            (terminal) =>
+              !transportType ||
+              terminal.transportTypes.length === 0 ||
+              terminal.transportTypes.includes(transportType)
+          )
+          .map((terminal) => terminal.name),
+      }))
+      .sort(
+        (a, b) =>
+          Number(!normalizeLocationName(a.name).startsWith(normalized)) -
+            Number(!normalizeLocationName(b.name).startsWith(normalized)) ||
+          a.name.localeCompare(b.name)
+      );
+
+    res.status(200).json({
+      success: true,
+      data: { suggestions },
+    });
+  } catch (error) {
+    console.error('Autocomplete locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get single location
+// @route   GET /api/locations/:id
+// @access  Public
+const getLocationById = async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id).select('-searchKeys');
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { location },
+    });
+  } catch (error) {
+    console.error('Get location by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Create location (Admin)
+// @route   POST /api/locations
+// @access  Private/Admin
+const createLocation = async (req, res) => {
+  try {
+    const data = {};
+    LOCATION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide location name',
+      });
+    }
+
+    const location = await Location.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: { location },
+    });
+  } catch (error) {
+    console.error('Create location error:', error);
+    res.status(500).json({
+      success: false,
+      message:
+        error.code === 11000
+          ? 'A location with this name already exists'
+          : error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Update location (Admin)
+// @route   PUT /api/locations/:id
+// @access  Private/Admin
+const updateLocation = async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found',
+      });
+    }
+
+    const previousName = location.name;
+
+    LOCATION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    });
+
+    await location.save();
+
+    // Keep the canonical name on linked tickets and schedules in sync
+    if (previousName !== location.name) {
+      for (const Model of [Ticket, Schedule]) {
+        await Model.updateMany(
+          { fromLocationRef: location._id },
+          { fromLocation: location.name }
+        );
+        await Model.updateMany(
+          { toLocationRef: location._id },
+          { toLocation: location.name }
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: { location },
+    });
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Delete location (Admin) - only when no ticket uses it
+// @route   DELETE /api/locations/:id
+// @access  Private/Admin
+const deleteLocation = async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found',
+      });
+    }
+
+    const ticketCount = await Ticket.countDocuments({
+      $or: [{ fromLocationRef: location._id }, { toLocationRef: location._id }],
+    });
+
+    if (ticketCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Location is used by ${ticketCount} ticket(s). Deactivate it instead.`,
+      });
+    }
+
+    await location.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Location deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getLocations,
+  autocompleteLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+};
@@ -1,14 +1,31 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Booking = require('../models/Booking');
-const Ticket = require('../models/Ticket');
 const Transaction = require('../models/Transaction');
+const { hasDeparted } = require('../utils/departureTime');
+const { paymentDeadlineFor } = require('../utils/bookingLifecycle');
+const { extendHold } = require('../utils/inventoryHolds');
+const { settlePayment } = require('../utils/paymentSettlement');
+const { ensureBookingReference, signETicketToken } = require('../utils/etickets');
+const {
+  validateCoupon,
+  redeemCoupon,
+  buildDiscount,
+} = require('../utils/coupons');
+const { streamCsv } = require('../utils/csv');
+const {
+  wantsCsv,
+  exportFileName,
+  parseReportFilters,
+  TRANSACTION_EXPORT_COLUMNS,
+  transactionExportRow,
+} = require('../utils/reportExports');
 
 // @desc    Create payment intent for booking
 // @route   POST /api/payments/create-payment-intent
 // @access  Private/User
 const createPaymentIntent = async (req, res) => {
   try {
-    const { bookingId } = req.body;
+    const { bookingId, couponCode } = req.body;
 
     if (!bookingId) {
       return res.status(400).json({
@@ -52,26 +69,77 @@ const createPaymentIntent = async (req, res) => {
     }
 
     // Check if ticket has expired
-    const departureDateTime = new Date(booking.ticketSnapshot.departureDate);
-    const [hours, minutes] = booking.ticketSnapshot.departureTime.split(':');
-    departureDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-    if (departureDateTime < new Date()) {
+    if (hasDeparted(booking.ticketSnapshot)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot pay for expired ticket',
       });
     }
 
-    // Check if ticket still has enough quantity
-    const ticket = await Ticket.findById(booking.ticket);
-    if (!ticket || ticket.quantity < booking.bookingQuantity) {
+    if (booking.paymentDeadline && booking.paymentDeadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The payment deadline for this booking has passed',
+      });
+    }
+
+    // The booking's tickets must still be held for it (held again when an
+    // older booking's hold ran out and there are enough tickets left)
+    const fareClassCode = booking.ticketSnapshot.fareClass?.code;
+    const ticket = booking.ticket
+      ? await extendHold(
+          booking.ticket._id,
+          booking,
+          booking.paymentDeadline || paymentDeadlineFor(booking.ticketSnapshot)
+        )
+      : null;
+
+    if (!ticket) {
       return res.status(400).json({
         success: false,
         message: 'Ticket no longer available',
       });
     }
 
+    // The price is the one shown when the booking was made - later pricing
+    // rule changes never raise what the passenger pays
+    const subtotal =
+      booking.subtotal ?? booking.totalPrice + (booking.discount?.amount || 0);
+
+    // Apply a coupon now. A coupon used at booking time keeps the discount
+    // stored then, even if the coupon is edited before payment.
+    if (couponCode && !booking.discount?.coupon) {
+      const result = await validateCoupon(couponCode, ticket, subtotal);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const redeemError = await redeemCoupon(result.coupon, req.user._id);
+      if (redeemError) {
+        return res.status(400).json({
+          success: false,
+          message: redeemError,
+        });
+      }
+
+      booking.discount = buildDiscount(result.coupon, result.discountAmount);
+      await booking.save();
+    } else if (
+      couponCode &&
+      booking.discount.code !== String(couponCode).trim().toUpperCase()
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'A different coupon is already applied to this booking',
+      });
+    }
+
+    booking.subtotal = subtotal;
+    booking.totalPrice = subtotal - (booking.discount?.amount || 0);
+
     // Create Stripe payment intent
     // Amount should be in cents (multiply by 100)
     const paymentIntent = await stripe.paymentIntents.create({
@@ -81,8 +149,12 @@ const createPaymentIntent = async (req, res) => {
         bookingId: booking._id.toString(),
         userId: req.user._id.toString(),
         ticketId: booking.ticket._id.toString(),
+        fareClass: fareClassCode || '',
+        couponCode: booking.discount?.code || '',
       },
-      description: `Payment for ${booking.ticketSnapshot.title}`,
+      description: fareClassCode
+        ? `Payment for ${booking.ticketSnapshot.title} (${booking.ticketSnapshot.fareClass.name})`
+        : `Payment for ${booking.ticketSnapshot.title}`,
     });
 
     // Store payment intent ID in booking
@@ -95,6 +167,10 @@ const createPaymentIntent = async (req, res) => {
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
         amount: booking.totalPrice,
+        fareClass: booking.ticketSnapshot.fareClass,
+        pricing: booking.pricing,
+        subtotal: booking.subtotal,
+        discount: booking.discount,
       },
     });
   } catch (error) {
@@ -149,47 +225,47 @@ const confirmPayment = async (req, res) => {
       });
     }
 
-    // Check if already processed
-    if (booking.paymentStatus === 'paid') {
+    // The payment must have been made for this booking
+    if (paymentIntent.metadata?.bookingId !== booking._id.toString()) {
       return res.status(400).json({
         success: false,
-        message: 'Payment already processed',
+        message: 'This payment does not belong to the booking',
       });
     }
 
-    // Update booking status
-    booking.status = 'paid';
-    booking.paymentStatus = 'paid';
-    booking.paidAt = new Date();
-    await booking.save();
+    // Booking, ticket inventory and transaction are updated together;
+    // confirming the same payment again gives the same answer
+    const result = await settlePayment(booking._id, paymentIntent, req.user);
 
-    // Reduce ticket quantity
-    const ticket = await Ticket.findById(booking.ticket._id);
-    if (ticket) {
-      ticket.quantity -= booking.bookingQuantity;
-      await ticket.save();
+    if (result.outcome === 'missing') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
     }
 
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: req.user._id,
-      booking: booking._id,
-      ticket: booking.ticket._id,
-      transactionId: paymentIntent.id,
-      amount: booking.totalPrice,
-      currency: 'BDT',
-      paymentMethod: 'stripe',
-      paymentStatus: 'completed',
-      stripePaymentIntentId: paymentIntent.id,
-      ticketTitle: booking.ticketSnapshot.title,
-    });
+    if (result.outcome === 'refunded') {
+      return res.status(409).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const { booking: paidBooking, transaction } = result;
+    await paidBooking.populate('ticket');
+    await ensureBookingReference(paidBooking);
 
     res.status(200).json({
       success: true,
       message: 'Payment successful! Your booking is confirmed.',
       data: {
-        booking,
+        booking: paidBooking,
         transaction,
+        eticket: {
+          reference: paidBooking.reference,
+          token: signETicketToken(paidBooking),
+          downloadUrl: `/api/bookings/${paidBooking._id}/eticket`,
+        },
       },
     });
   } catch (error) {
@@ -267,11 +343,34 @@ const getTransactionById = async (req, res) => {
 
 
 // @desc    Get all transactions (Admin)
-// @route   GET /api/payments/admin/transactions
+// @route   GET /api/payments/admin/transactions?dateFrom=&dateTo=&ticketId=&format=csv
 // @access  Private/Admin
 const getAllTransactions = async (req, res) => {
   try {
-    const transactions = await Transaction.find()
+    const { filter, error: filterError } = parseReportFilters(req.query, 'createdAt');
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    if (wantsCsv(req)) {
+      // Booking IDs are enough for the spreadsheet
+      return streamCsv(
+        res,
+        exportFileName('transactions'),
+        TRANSACTION_EXPORT_COLUMNS,
+        Transaction.find(filter)
+          .sort({ createdAt: -1 })
+          .populate('user', 'name email')
+          .cursor(),
+        transactionExportRow
+      );
+    }
+
+    const transactions = await Transaction.find(filter)
       .sort({ createdAt: -1 })
       .populate('user', 'name email')
       .populate('ticket', 'title')
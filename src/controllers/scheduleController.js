@@ -0,0 +1,292 @@
+const Schedule = require('../models/Schedule');
+const Ticket = require('../models/Ticket');
+const { buildSeatMap } = require('../utils/seatLayouts');
+const { resolveRoute } = require('../utils/locationResolver');
+const { formatLocation } = require('../utils/locationNames');
+const {
+  getUpcomingDates,
+  generateTicketsForSchedule,
+} = require('../utils/scheduleGenerator');
+
+// Fields a vendor can set on a schedule
+const SCHEDULE_FIELDS = [
+  'title',
+  'image',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'perks',
+  'durationMinutes',
+  'seatLayout',
+  'defaultPrice',
+  'defaultQuantity',
+  'daysOfWeek',
+  'departureTime',
+  'timeZone',
+  'startDate',
+  'endDate',
+  'generateDaysAhead',
+  'isActive',
+];
+
+// Find a schedule owned by the logged in vendor
+const findOwnSchedule = async (req, res) => {
+  const schedule = await Schedule.findById(req.params.id);
+
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      message: 'Schedule not found',
+    });
+    return null;
+  }
+
+  if (schedule.vendor.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this schedule',
+    });
+    return null;
+  }
+
+  return schedule;
+};
+
+// @desc    Create recurring schedule and generate its tickets (Vendor)
+// @route   POST /api/schedules
+// @access  Private/Vendor
+const createSchedule = async (req, res) => {
+  try {
+    const data = {};
+    SCHEDULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    // Check seat layout before saving the template
+    const { error: seatMapError } = buildSeatMap(
+      data.transportType,
+      data.seatLayout
+    );
+
+    if (seatMapError) {
+      return res.status(400).json({
+        success: false,
+        message: seatMapError,
+      });
+    }
+
+    // Resolve locations against the catalog
+    const { fields: routeFields, error: routeError } = await resolveRoute(
+      data.fromLocation,
+      data.toLocation,
+      data.transportType
+    );
+
+    if (routeError) {
+      return res.status(400).json({
+        success: false,
+        message: routeError,
+      });
+    }
+
+    const schedule = await Schedule.create({
+      ...data,
+      ...routeFields,
+      vendor: req.user._id,
+      vendorName: req.user.name,
+      vendorEmail: req.user.email,
+    });
+
+    const generated = await generateTicketsForSchedule(schedule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully. Generated tickets are waiting for admin approval.',
+      data: { schedule, generated },
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get vendor's own schedules
+// @route   GET /api/schedules
+// @access  Private/Vendor
+const getMySchedules = async (req, res) => {
+  try {
+    const schedules = await Schedule.find({ vendor: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { schedules },
+    });
+  } catch (error) {
+    console.error('Get my schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get single schedule with its upcoming tickets
+// @route   GET /api/schedules/:id
+// @access  Private/Vendor
+const getScheduleById = async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const tickets = await Ticket.find({
+      schedule: schedule._id,
+      departureDate: { $gte: new Date(new Date().setUTCHours(0, 0, 0, 0)) },
+    }).sort({ departureDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedule,
+        tickets,
+        upcomingDates: getUpcomingDates(schedule),
+      },
+    });
+  } catch (error) {
+    console.error('Get schedule by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Update schedule and refresh future unbooked tickets
+// @route   PUT /api/schedules/:id
+// @access  Private/Vendor
+const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const { fromLocation, toLocation, transportType } = req.body;
+
+    SCHEDULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) schedule[field] = req.body[field];
+    });
+
+    // Re-resolve the route when either end or the transport type changes
+    if (fromLocation || toLocation || transportType) {
+      const { fields: routeFields, error: routeError } = await resolveRoute(
+        fromLocation || formatLocation(schedule.fromLocation, schedule.fromTerminal),
+        toLocation || formatLocation(schedule.toLocation, schedule.toTerminal),
+        schedule.transportType
+      );
+
+      if (routeError) {
+        return res.status(400).json({
+          success: false,
+          message: routeError,
+        });
+      }
+
+      schedule.set(routeFields);
+    }
+
+    const { error: seatMapError } = buildSeatMap(
+      schedule.transportType,
+      schedule.seatLayout
+    );
+
+    if (seatMapError) {
+      return res.status(400).json({
+        success: false,
+        message: seatMapError,
+      });
+    }
+
+    await schedule.save();
+
+    const generated = await generateTicketsForSchedule(schedule);
+
+    res.status(200).json({
+      success: true,
+      message:
+        generated.revised > 0
+          ? 'Schedule updated. Booked departures were left unchanged; changes to approved departures are waiting for admin review.'
+          : 'Schedule updated successfully. Booked departures were left unchanged.',
+      data: { schedule, generated },
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Generate/refresh tickets for a schedule now
+// @route   POST /api/schedules/:id/generate
+// @access  Private/Vendor
+const generateScheduleTickets = async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const generated = await generateTicketsForSchedule(schedule);
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule tickets generated successfully',
+      data: { generated },
+    });
+  } catch (error) {
+    console.error('Generate schedule tickets error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Delete schedule and its future unbooked tickets
+// @route   DELETE /api/schedules/:id
+// @access  Private/Vendor
+const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    // Deactivating removes every future departure without bookings
+    schedule.isActive = false;
+    const generated = await generateTicketsForSchedule(schedule);
+
+    await schedule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule deleted successfully. Booked departures were kept.',
+      data: { generated },
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  createSchedule,
+  getMySchedules,
+  getScheduleById,
+  updateSchedule,
+  generateScheduleTickets,
+  deleteSchedule,
+};
@@ -1,5 +1,79 @@
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
+const AdCampaign = require('../models/AdCampaign');
+const {
+    SEAT_LAYOUT_TEMPLATES,
+    buildSeatMap,
+    countBookableSeats,
+} = require('../utils/seatLayouts');
+const { findItineraries } = require('../utils/journeyPlanner');
+const {
+    PRICE_BUCKETS,
+    buildTicketSearch,
+    departureMomentExpression,
+} = require('../utils/ticketSearch');
+const { effectivePriceExpression } = require('../utils/pricing');
+const { resolveLocation, resolveRoute } = require('../utils/locationResolver');
+const { formatLocation } = require('../utils/locationNames');
+const { normalizeDepartureTime } = require('../utils/departureTime');
+const {
+    getReviewedPaths,
+    extractRevision,
+    applyRevision,
+    seatMapQuantity,
+} = require('../utils/ticketRevisions');
+const { resolveAsset, linkAsset } = require('../utils/assets');
+const { streamCsv } = require('../utils/csv');
+const {
+    wantsCsv,
+    exportFileName,
+    parseReportFilters,
+    TICKET_EXPORT_COLUMNS,
+    ticketExportRow,
+} = require('../utils/reportExports');
+const {
+    getLiveCampaigns,
+    findFreeSlot,
+    refreshTicketAdFlags,
+    activateCampaign,
+    cancelCampaigns,
+} = require('../utils/adCampaigns');
+const { cancelTripBookings } = require('../utils/tripCancellation');
+const { buildManifest, manifestCsv, sendManifestPdf } = require('../utils/manifest');
+const {
+    processWaitlist,
+    getWaitlistDemand,
+    removeWaitlistEntries,
+} = require('../utils/waitlist');
+const {
+    parseInstantBookingSettings,
+    applyInstantBookingSettings,
+} = require('../utils/instantBooking');
+
+// Validate admin notes on specific ticket fields
+const parseFieldNotes = (fieldNotes) => {
+    if (!fieldNotes) {
+        return { notes: [] };
+    }
+
+    if (!Array.isArray(fieldNotes)) {
+        return { error: 'Field notes must be a list of { field, note }' };
+    }
+
+    for (const item of fieldNotes) {
+        if (!item || !item.field || !item.note) {
+            return { error: 'Each field note needs a field and a note' };
+        }
+        if (Ticket.schema.pathType(item.field.split('.')[0]) === 'adhocOrUndefined') {
+            return { error: `Unknown ticket field: ${item.field}` };
+        }
+    }
+
+    return {
+        notes: fieldNotes.map(({ field, note }) => ({ field, note })),
+    };
+};
 
 // @desc    Create new ticket (Vendor only)
 // @route   POST /api/tickets
@@ -9,6 +83,7 @@ const createTicket = async (req, res) => {
         const {
             title,
             image,
+            imageAssetId,
             fromLocation,
             toLocation,
             transportType,
@@ -16,18 +91,27 @@ const createTicket = async (req, res) => {
             quantity,
             departureDate,
             departureTime,
+            timeZone,
             perks,
+            durationMinutes,
+            seatLayout,
+            fareClasses,
+            pricingRules,
+            instantBooking,
         } = req.body;
 
-        // Validate required fields
+        const hasFareClasses = Array.isArray(fareClasses) && fareClasses.length > 0;
+
+        // Validate required fields (price/quantity come from fare classes or
+        // the seat map when those are given)
         if (
             !title ||
-            !image ||
+            (!image && !imageAssetId) ||
             !fromLocation ||
             !toLocation ||
             !transportType ||
-            !price ||
-            !quantity ||
+            (!price && !hasFareClasses) ||
+            (!quantity && !seatLayout && !hasFareClasses) ||
             !departureDate ||
             !departureTime
         ) {
@@ -45,24 +129,112 @@ const createTicket = async (req, res) => {
             });
         }
 
+        // Stored as HH:mm so departure time filters can compare it as text
+        const departureTimeValue = normalizeDepartureTime(departureTime);
+        if (!departureTimeValue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Departure time must be in HH:mm format',
+            });
+        }
+
+        // Resolve locations against the catalog
+        const { fields: routeFields, error: routeError } = await resolveRoute(
+            fromLocation,
+            toLocation,
+            transportType
+        );
+
+        if (routeError) {
+            return res.status(400).json({
+                success: false,
+                message: routeError,
+            });
+        }
+
+        // Build seat map if the vendor published a layout
+        const { seatMap, error: seatMapError } = buildSeatMap(
+            transportType,
+            seatLayout
+        );
+
+        if (seatMapError) {
+            return res.status(400).json({
+                success: false,
+                message: seatMapError,
+            });
+        }
+
+        // Instant booking settings (leave out to follow the vendor's)
+        let instantBookingSettings = {};
+        if (instantBooking !== undefined) {
+            const { settings, error: instantError } = parseInstantBookingSettings(
+                instantBooking,
+                { allowFollowVendor: true }
+            );
+
+            if (instantError) {
+                return res.status(400).json({
+                    success: false,
+                    message: instantError,
+                });
+            }
+
+            instantBookingSettings = settings;
+        }
+
+        // Uploaded image takes precedence over a plain URL
+        let imageAsset = null;
+        let imageUrl = image;
+        if (imageAssetId) {
+            const { asset, url, error: assetError } = await resolveAsset(
+                imageAssetId,
+                req.user,
+                'ticket'
+            );
+
+            if (assetError) {
+                return res.status(400).json({
+                    success: false,
+                    message: assetError,
+                });
+            }
+
+            imageAsset = asset;
+            imageUrl = url;
+        }
+
         // Create ticket
         const ticket = await Ticket.create({
             title,
-            image,
-            fromLocation,
-            toLocation,
+            image: imageUrl,
+            imageAsset: imageAsset ? imageAsset._id : null,
+            ...routeFields,
             transportType,
             price,
-            quantity,
+            quantity: seatMap ? countBookableSeats(seatMap) : quantity,
             departureDate,
-            departureTime,
+            departureTime: departureTimeValue,
+            timeZone,
             perks: perks || [],
+            durationMinutes: durationMinutes || null,
+            fareClasses: hasFareClasses ? fareClasses : [],
+            pricingRules: pricingRules || [],
+            instantBooking: instantBookingSettings,
+            seatMap,
             vendor: req.user._id,
             vendorName: req.user.name,
             vendorEmail: req.user.email,
             verificationStatus: 'pending', // Initial status
+            moderationHistory: [
+                { action: 'submitted', by: req.user._id, byRole: 'vendor' },
+            ],
         });
 
+        if (imageAsset) {
+            await linkAsset(imageAsset, 'Ticket', ticket._id);
+        }
+
         res.status(201).json({
             success: true,
             message: 'Ticket created successfully. Waiting for admin approval.',
@@ -82,59 +254,114 @@ const createTicket = async (req, res) => {
 // @access  Public
 const getAllTickets = async (req, res) => {
     try {
-        const {
-            search,
-            transportType,
-            sortBy,
-            page = 1,
-            limit = 9,
-        } = req.query;
-
-        // Build query
-        let query = { verificationStatus: 'approved' };
+        const { page = 1, limit = 9 } = req.query;
 
-        // Search by location (from or to)
-        if (search) {
-            query.$or = [
-                { fromLocation: { $regex: search, $options: 'i' } },
-                { toLocation: { $regex: search, $options: 'i' } },
-            ];
-        }
+        // Resolve from/to against the location catalog when possible
+        const [fromMatch, toMatch] = await Promise.all([
+            req.query.from ? resolveLocation(req.query.from) : null,
+            req.query.to ? resolveLocation(req.query.to) : null,
+        ]);
 
-        // Filter by transport type
-        if (transportType && transportType !== 'all') {
-            query.transportType = transportType;
-        }
+        // Build query
+        const now = new Date();
+        const { match, priceMatch, sort, error: searchError } = buildTicketSearch(
+            req.query,
+            {
+                fromLocation: fromMatch?.location,
+                toLocation: toMatch?.location,
+            },
+            now
+        );
 
-        // Sort options
-        let sortOptions = {};
-        if (sortBy === 'price-low') {
-            sortOptions.price = 1; // Low to High
-        } else if (sortBy === 'price-high') {
-            sortOptions.price = -1; // High to Low
-        } else {
-            sortOptions.createdAt = -1; // Latest first (default)
+        if (searchError) {
+            return res.status(400).json({
+                success: false,
+                message: searchError,
+            });
         }
 
         // Pagination
-        const pageNumber = parseInt(page);
-        const limitNumber = parseInt(limit);
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const limitNumber = Math.min(Math.max(parseInt(limit) || 9, 1), 100);
         const skip = (pageNumber - 1) * limitNumber;
 
-        // Execute query
-        const tickets = await Ticket.find(query)
-            .sort(sortOptions)
-            .limit(limitNumber)
-            .skip(skip)
-            .populate('vendor', 'name email');
+        // Execute query - results and facet counts in one round trip
+        const [result] = await Ticket.aggregate([
+            { $match: match },
+            // Drop tickets that already left today
+            { $match: { $expr: { $gt: [departureMomentExpression, now] } } },
+            // Price users pay right now - price filters, buckets and sorts use it
+            {
+                $addFields: {
+                    effectivePrice: effectivePriceExpression(departureMomentExpression, now),
+                },
+            },
+            ...(priceMatch ? [{ $match: priceMatch }] : []),
+            {
+                $facet: {
+                    tickets: [
+                        { $sort: sort },
+                        { $skip: skip },
+                        { $limit: limitNumber },
+                        { $unset: 'effectivePrice' },
+                    ],
+                    total: [{ $count: 'count' }],
+                    transportTypes: [
+                        { $group: { _id: '$transportType', count: { $sum: 1 } } },
+                        { $sort: { _id: 1 } },
+                    ],
+                    priceBuckets: [
+                        {
+                            $bucket: {
+                                groupBy: '$effectivePrice',
+                                boundaries: PRICE_BUCKETS,
+                                default: 'above',
+                                output: { count: { $sum: 1 } },
+                            },
+                        },
+                    ],
+                    perks: [
+                        { $unwind: '$perks' },
+                        { $group: { _id: '$perks', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                    ],
+                },
+            },
+        ]);
+
+        // Hydrate so virtuals (pricing, seat map, expiry) are included
+        const tickets = await Ticket.populate(
+            result.tickets.map((doc) => Ticket.hydrate(doc)),
+            { path: 'vendor', select: 'name email' }
+        );
 
         // Get total count for pagination
-        const total = await Ticket.countDocuments(query);
+        const total = result.total[0]?.count || 0;
 
         res.status(200).json({
             success: true,
             data: {
                 tickets,
+                facets: {
+                    transportTypes: result.transportTypes.map((item) => ({
+                        value: item._id,
+                        count: item.count,
+                    })),
+                    priceBuckets: result.priceBuckets.map((item) => {
+                        const index = PRICE_BUCKETS.indexOf(item._id);
+                        return {
+                            min: item._id === 'above'
+                                ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1]
+                                : item._id,
+                            max: item._id === 'above' ? null : PRICE_BUCKETS[index + 1],
+                            count: item.count,
+                        };
+                    }),
+                    perks: result.perks.map((item) => ({
+                        value: item._id,
+                        count: item.count,
+                    })),
+                },
                 pagination: {
                     total,
                     page: pageNumber,
@@ -152,6 +379,88 @@ const getAllTickets = async (req, res) => {
     }
 };
 
+// @desc    Search 1-3 leg journeys combining connecting tickets
+// @route   GET /api/tickets/journeys
+// @access  Public
+const searchJourneys = async (req, res) => {
+    try {
+        const {
+            from,
+            to,
+            date,
+            passengers = 1,
+            maxLegs = 3,
+            minTransferMinutes = 60,
+        } = req.query;
+
+        if (!from || !to || !date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide origin, destination and date',
+            });
+        }
+
+        const startDate = new Date(date);
+        if (isNaN(startDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date',
+            });
+        }
+        startDate.setUTCHours(0, 0, 0, 0);
+
+        const legLimit = Math.min(Math.max(parseInt(maxLegs) || 3, 1), 3);
+        const passengerCount = Math.max(parseInt(passengers) || 1, 1);
+
+        // Connections may continue into the next days
+        const endDate = new Date(startDate);
+        endDate.setUTCDate(endDate.getUTCDate() + legLimit);
+
+        const candidates = await Ticket.find({
+            verificationStatus: 'approved',
+            isCancelled: { $ne: true },
+            quantity: { $gte: passengerCount },
+            departureDate: { $gte: startDate, $lt: endDate },
+        });
+
+        // Use canonical catalog names when the input is a known spelling
+        const [fromMatch, toMatch] = await Promise.all([
+            resolveLocation(from),
+            resolveLocation(to),
+        ]);
+
+        const nextDay = startDate.getTime() + 24 * 60 * 60 * 1000;
+        const itineraries = findItineraries(
+            candidates.filter(
+                (ticket) => !ticket.isExpired && ticket.availableQuantity >= passengerCount
+            ),
+            {
+                from: fromMatch ? fromMatch.location.name : from,
+                to: toMatch ? toMatch.location.name : to,
+                maxLegs: legLimit,
+                minTransferMinutes: Math.max(parseInt(minTransferMinutes) || 0, 0),
+                passengers: passengerCount,
+                // First leg must leave on the requested date
+                firstLegFilter: (ticket) =>
+                    new Date(ticket.departureDate).getTime() < nextDay,
+            }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                itineraries,
+                total: itineraries.length,
+            },
+        });
+    } catch (error) {
+        console.error('Search journeys error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
 
 // @desc    Get latest tickets (6-8 for homepage)
 // @route   GET /api/tickets/latest
@@ -160,7 +469,10 @@ const getLatestTickets = async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 6;
 
-        const tickets = await Ticket.find({ verificationStatus: 'approved' })
+        const tickets = await Ticket.find({
+            verificationStatus: 'approved',
+            isCancelled: { $ne: true },
+        })
             .sort({ createdAt: -1 })
             .limit(limit)
             .populate('vendor', 'name email');
@@ -178,17 +490,26 @@ const getLatestTickets = async (req, res) => {
     }
 };
 
-// @desc    Get advertised tickets (max 6 for homepage)
+// @desc    Get advertised tickets for homepage (live campaigns in slot order)
 // @route   GET /api/tickets/advertised
 // @access  Public
 const getAdvertisedTickets = async (req, res) => {
     try {
-        const tickets = await Ticket.find({
-            verificationStatus: 'approved',
-            isAdvertised: true,
-        })
-            .limit(6)
-            .populate('vendor', 'name email');
+        // Campaigns on air right now, in slot order
+        const campaigns = await getLiveCampaigns();
+
+        if (campaigns.length > 0) {
+            await AdCampaign.updateMany(
+                { _id: { $in: campaigns.map((campaign) => campaign._id) } },
+                { $inc: { impressions: 1 } }
+            );
+        }
+
+        // Campaign ID lets the client report clicks (POST /api/ads/:id/click)
+        const tickets = campaigns.map((campaign) => ({
+            ...campaign.ticket.toJSON(),
+            adCampaign: { _id: campaign._id, slot: campaign.slot },
+        }));
 
         res.status(200).json({
             success: true,
@@ -233,18 +554,111 @@ const getTicketById = async (req, res) => {
     }
 };
 
+// @desc    Get seat map with free/reserved seats for a ticket
+// @route   GET /api/tickets/:id/seats
+// @access  Public
+const getTicketSeats = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        if (!ticket.hasSeatMap) {
+            return res.status(404).json({
+                success: false,
+                message: 'This ticket does not have seat selection',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ticketId: ticket._id,
+                ...ticket.getSeatAvailability(),
+            },
+        });
+    } catch (error) {
+        console.error('Get ticket seats error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Get default seat layout templates per transport type
+// @route   GET /api/tickets/seat-layouts
+// @access  Public
+const getSeatLayoutTemplates = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { templates: SEAT_LAYOUT_TEMPLATES },
+        });
+    } catch (error) {
+        console.error('Get seat layout templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
 // @desc    Get vendor's own tickets
-// @route   GET /api/tickets/my-tickets
+// @route   GET /api/tickets/my-tickets?dateFrom=&dateTo=&ticketId=&format=csv
 // @access  Private/Vendor
 const getMyTickets = async (req, res) => {
     try {
-        const tickets = await Ticket.find({ vendor: req.user._id }).sort({
+        // Date range applies to the departure date
+        const { filter, error: filterError } = parseReportFilters(
+            req.query,
+            'departureDate'
+        );
+
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                message: filterError,
+            });
+        }
+
+        const { ticket: ticketId, ...dateFilter } = filter;
+        const query = Ticket.find({
+            vendor: req.user._id,
+            ...dateFilter,
+            ...(ticketId ? { _id: ticketId } : {}),
+        }).sort({
             createdAt: -1,
         });
 
+        if (wantsCsv(req)) {
+            return streamCsv(
+                res,
+                exportFileName('tickets'),
+                TICKET_EXPORT_COLUMNS,
+                query.cursor(),
+                ticketExportRow
+            );
+        }
+
+        const tickets = await query;
+
+        // Waitlist size per ticket as a demand signal
+        const demand = await getWaitlistDemand(tickets.map((ticket) => ticket._id));
+
         res.status(200).json({
             success: true,
-            data: { tickets },
+            data: {
+                tickets: tickets.map((ticket) => ({
+                    ...ticket.toJSON(),
+                    waitlist: demand.get(ticket._id.toString()) || { entries: 0, seats: 0 },
+                })),
+            },
         });
     } catch (error) {
         console.error('Get my tickets error:', error);
@@ -277,11 +691,12 @@ const updateTicket = async (req, res) => {
             });
         }
 
-        // Check if ticket is rejected
-        if (ticket.verificationStatus === 'rejected') {
-            return res.status(403).json({
+        // Rejected tickets can be fixed here, then sent back with /resubmit
+
+        if (ticket.isCancelled) {
+            return res.status(400).json({
                 success: false,
-                message: 'Cannot update rejected tickets',
+                message: 'Cancelled trips cannot be edited',
             });
         }
 
@@ -297,6 +712,7 @@ const updateTicket = async (req, res) => {
         const {
             title,
             image,
+            imageAssetId,
             fromLocation,
             toLocation,
             transportType,
@@ -304,26 +720,169 @@ const updateTicket = async (req, res) => {
             quantity,
             departureDate,
             departureTime,
+            timeZone,
             perks,
+            durationMinutes,
+            seatLayout,
+            fareClasses,
+            pricingRules,
+            instantBooking,
         } = req.body;
 
+        if (departureTime && !normalizeDepartureTime(departureTime)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Departure time must be in HH:mm format',
+            });
+        }
+
+        // Material edits to approved tickets wait for admin review
+        const reviewedPaths =
+            ticket.verificationStatus === 'approved' ? getReviewedPaths(req.body) : [];
+        const original = ticket.toObject();
+
+        // Re-resolve the route when either end or the transport type changes
+        if (fromLocation || toLocation || transportType) {
+            const { fields: routeFields, error: routeError } = await resolveRoute(
+                fromLocation || formatLocation(ticket.fromLocation, ticket.fromTerminal),
+                toLocation || formatLocation(ticket.toLocation, ticket.toTerminal),
+                transportType || ticket.transportType
+            );
+
+            if (routeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: routeError,
+                });
+            }
+
+            ticket.set(routeFields);
+        }
+
+        // Seat layout can only be replaced while no seat is reserved
+        if (seatLayout) {
+            if (ticket.reservedSeats.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change seat layout after seats have been reserved',
+                });
+            }
+
+            const { seatMap, error: seatMapError } = buildSeatMap(
+                transportType || ticket.transportType,
+                seatLayout
+            );
+
+            if (seatMapError) {
+                return res.status(400).json({
+                    success: false,
+                    message: seatMapError,
+                });
+            }
+
+            ticket.seatMap = seatMap;
+            // A reviewed layout sets the quantity when it is approved
+            if (!reviewedPaths.includes('seatMap')) {
+                ticket.quantity = seatMapQuantity(ticket, seatMap);
+            }
+        }
+
+        // Uploaded image takes precedence over a plain URL
+        let imageAsset = null;
+        if (imageAssetId) {
+            const { asset, url, error: assetError } = await resolveAsset(
+                imageAssetId,
+                req.user,
+                'ticket',
+                ticket
+            );
+
+            if (assetError) {
+                return res.status(400).json({
+                    success: false,
+                    message: assetError,
+                });
+            }
+
+            imageAsset = asset;
+            ticket.image = url;
+            ticket.imageAsset = asset._id;
+        } else if (image) {
+            ticket.image = image;
+            ticket.imageAsset = null;
+        }
+
         if (title) ticket.title = title;
-        if (image) ticket.image = image;
-        if (fromLocation) ticket.fromLocation = fromLocation;
-        if (toLocation) ticket.toLocation = toLocation;
         if (transportType) ticket.transportType = transportType;
         if (price !== undefined) ticket.price = price;
-        if (quantity !== undefined) ticket.quantity = quantity;
+        // With a seat map, quantity always follows the bookable seats
+        if (quantity !== undefined && !ticket.hasSeatMap) ticket.quantity = quantity;
         if (departureDate) ticket.departureDate = departureDate;
-        if (departureTime) ticket.departureTime = departureTime;
+        if (departureTime) ticket.departureTime = normalizeDepartureTime(departureTime);
+        if (timeZone) ticket.timeZone = timeZone;
         if (perks) ticket.perks = perks;
+        if (durationMinutes !== undefined) ticket.durationMinutes = durationMinutes;
+        // Price and quantity are derived from fare classes on save
+        if (Array.isArray(fareClasses)) ticket.fareClasses = fareClasses;
+        if (Array.isArray(pricingRules)) ticket.pricingRules = pricingRules;
+
+        // Booking settings, not listing details - never reviewed
+        if (instantBooking !== undefined) {
+            const { settings, error: instantError } = parseInstantBookingSettings(
+                instantBooking,
+                { allowFollowVendor: true }
+            );
+
+            if (instantError) {
+                return res.status(400).json({
+                    success: false,
+                    message: instantError,
+                });
+            }
+
+            applyInstantBookingSettings(ticket, settings);
+        }
+
+        // Keep the approved version live and store the rest as a revision
+        const revisionChanges = extractRevision(
+            ticket,
+            original,
+            reviewedPaths,
+            req.user._id
+        );
+
+        if (revisionChanges.length > 0) {
+            ticket.moderationHistory.push({
+                action: 'revision-submitted',
+                by: req.user._id,
+                byRole: 'vendor',
+                reason: `Changed: ${revisionChanges.map((change) => change.field).join(', ')}`,
+            });
+        }
 
         await ticket.save();
 
+        if (imageAsset) {
+            await linkAsset(imageAsset, 'Ticket', ticket._id);
+        }
+
+        // Added inventory goes to the waitlist first
+        await processWaitlist(ticket._id);
+
+        let message = 'Ticket updated successfully';
+        if (revisionChanges.length > 0) {
+            message = 'Ticket updated. Changes to route, schedule or listing details are waiting for admin review.';
+        } else if (ticket.verificationStatus === 'rejected') {
+            message = 'Ticket updated successfully. Resubmit it when you are ready for review.';
+        }
+
         res.status(200).json({
             success: true,
-            message: 'Ticket updated successfully',
-            data: { ticket },
+            message,
+            data: {
+                ticket,
+                pendingChanges: revisionChanges.map((change) => change.field),
+            },
         });
     } catch (error) {
         console.error('Update ticket error:', error);
@@ -364,7 +923,17 @@ const deleteTicket = async (req, res) => {
             });
         }
 
+        // Bookings must keep their ticket - cancel the trip instead
+        if (await Booking.exists({ ticket: ticket._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This ticket has bookings and cannot be deleted. Cancel the trip instead.',
+            });
+        }
+
         await ticket.deleteOne();
+        await cancelCampaigns({ ticket: ticket._id }, 'Ticket was deleted');
+        await removeWaitlistEntries(ticket._id);
 
         res.status(200).json({
             success: true,
@@ -379,16 +948,504 @@ const deleteTicket = async (req, res) => {
     }
 };
 
-// @desc    Get all tickets for admin (including pending/rejected)
-// @route   GET /api/tickets/admin/all
-// @access  Private/Admin
-const getAllTicketsForAdmin = async (req, res) => {
+// @desc    Passenger manifest of a departure: every paid booking with its
+//          passengers (?format=pdf or ?format=csv to download)
+// @route   GET /api/tickets/:id/manifest
+// @access  Private/Vendor (own tickets), Admin
+const getTicketManifest = async (req, res) => {
     try {
-        const tickets = await Ticket.find()
-            .sort({ createdAt: -1 })
-            .populate('vendor', 'name email');
+        const ticket = await Ticket.findById(req.params.id);
 
-        res.status(200).json({
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        if (
+            req.user.role !== 'admin' &&
+            ticket.vendor.toString() !== req.user._id.toString()
+        ) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this manifest',
+            });
+        }
+
+        const manifest = await buildManifest(ticket);
+        const format = String(req.query.format || '').toLowerCase();
+        const fileName = `manifest-${ticket.departureDate.toISOString().slice(0, 10)}-${ticket._id}`;
+
+        if (format === 'pdf') {
+            return sendManifestPdf(res, manifest, `${fileName}.pdf`);
+        }
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            return res.status(200).send(manifestCsv(manifest));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { manifest },
+        });
+    } catch (error) {
+        console.error('Get ticket manifest error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Cancel a trip: cancel open bookings and refund paid ones
+//          (Vendor only - own tickets). Running it again on a cancelled
+//          trip retries refunds that failed.
+// @route   PUT /api/tickets/:id/cancel
+// @access  Private/Vendor
+const cancelTrip = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        // Check if user is the ticket owner
+        if (ticket.vendor.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this trip',
+            });
+        }
+
+        const givenReason = req.body?.reason;
+
+        if (givenReason !== undefined && givenReason !== null && typeof givenReason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancellation reason must be text',
+            });
+        }
+
+        const reason = (givenReason || ticket.cancellation?.reason || '').trim();
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a cancellation reason',
+            });
+        }
+
+        if (!ticket.isCancelled && ticket.isExpired) {
+            return res.status(400).json({
+                success: false,
+                message: 'This trip has already departed',
+            });
+        }
+
+        // Take the trip off sale before touching its bookings
+        if (!ticket.isCancelled) {
+            ticket.isCancelled = true;
+            ticket.cancellation = {
+                reason,
+                cancelledAt: new Date(),
+                cancelledBy: req.user._id,
+            };
+            await ticket.save();
+            await cancelCampaigns({ ticket: ticket._id }, 'Trip was cancelled');
+            await refreshTicketAdFlags([ticket._id]);
+        }
+
+        const { summary, bookings } = await cancelTripBookings(ticket, req.user, reason);
+
+        // A re-run only handles what the earlier runs left over, so its
+        // counts are added to theirs
+        const previous = ticket.cancellation.summary || {};
+        ticket.cancellation.summary = {
+            cancelledBookings: (previous.cancelledBookings || 0) + summary.cancelledBookings,
+            refundedBookings: (previous.refundedBookings || 0) + summary.refundedBookings,
+            refundedAmount: (previous.refundedAmount || 0) + summary.refundedAmount,
+            // Failures of earlier runs were retried in this one
+            failedRefunds: summary.failedRefunds,
+        };
+        await ticket.save();
+
+        res.status(200).json({
+            success: true,
+            message:
+                summary.failedRefunds > 0
+                    ? `Trip cancelled. ${summary.failedRefunds} refund(s) failed - cancel again to retry.`
+                    : 'Trip cancelled',
+            data: {
+                ticket,
+                summary: { ...summary, currency: 'BDT' },
+                bookings,
+            },
+        });
+    } catch (error) {
+        console.error('Cancel trip error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Resubmit a rejected ticket for review (Vendor only - own tickets)
+// @route   PUT /api/tickets/:id/resubmit
+// @access  Private/Vendor
+const resubmitTicket = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        // Check if user is the ticket owner
+        if (ticket.vendor.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to resubmit this ticket',
+            });
+        }
+
+        if (ticket.verificationStatus !== 'rejected') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only rejected tickets can be resubmitted',
+            });
+        }
+
+        ticket.verificationStatus = 'pending';
+        ticket.submittedAt = new Date();
+        ticket.moderationHistory.push({
+            action: 'resubmitted',
+            by: req.user._id,
+            byRole: 'vendor',
+            reason: req.body.message || '',
+        });
+        await ticket.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Ticket resubmitted. Waiting for admin approval.',
+            data: { ticket },
+        });
+    } catch (error) {
+        console.error('Resubmit ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Get pending tickets, longest waiting first (Admin)
+// @route   GET /api/tickets/admin/review-queue
+// @access  Private/Admin
+const getReviewQueue = async (req, res) => {
+    try {
+        const tickets = await Ticket.find({ verificationStatus: 'pending' })
+            .sort({ submittedAt: 1 })
+            .populate('vendor', 'name email');
+
+        const now = Date.now();
+        const queue = tickets.map((ticket) => ({
+            ticket,
+            waitingMinutes: Math.floor((now - ticket.submittedAt) / (60 * 1000)),
+            isResubmission: ticket.moderationHistory.some(
+                (event) => event.action === 'resubmitted'
+            ),
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                queue,
+                total: queue.length,
+            },
+        });
+    } catch (error) {
+        console.error('Get review queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Withdraw pending revision (Vendor only - own tickets)
+// @route   DELETE /api/tickets/:id/revision
+// @access  Private/Vendor
+const withdrawTicketRevision = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        // Check if user is the ticket owner
+        if (ticket.vendor.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this ticket',
+            });
+        }
+
+        if (!ticket.pendingRevision) {
+            return res.status(400).json({
+                success: false,
+                message: 'This ticket has no pending revision',
+            });
+        }
+
+        ticket.pendingRevision = null;
+        ticket.moderationHistory.push({
+            action: 'revision-withdrawn',
+            by: req.user._id,
+            byRole: 'vendor',
+        });
+        await ticket.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Pending revision withdrawn',
+            data: { ticket },
+        });
+    } catch (error) {
+        console.error('Withdraw ticket revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Get approved tickets with pending revisions, oldest first (Admin)
+// @route   GET /api/tickets/admin/revisions
+// @access  Private/Admin
+const getPendingRevisions = async (req, res) => {
+    try {
+        const tickets = await Ticket.find({ pendingRevision: { $ne: null } })
+            .sort({ 'pendingRevision.submittedAt': 1 })
+            .populate('vendor', 'name email');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tickets,
+                total: tickets.length,
+            },
+        });
+    } catch (error) {
+        console.error('Get pending revisions error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Get field-by-field diff of a ticket's pending revision (Admin)
+// @route   GET /api/tickets/:id/revision
+// @access  Private/Admin
+const getTicketRevision = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id).populate(
+            'pendingRevision.submittedBy',
+            'name email'
+        );
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        if (!ticket.pendingRevision) {
+            return res.status(404).json({
+                success: false,
+                message: 'This ticket has no pending revision',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ticketId: ticket._id,
+                title: ticket.title,
+                submittedAt: ticket.pendingRevision.submittedAt,
+                submittedBy: ticket.pendingRevision.submittedBy,
+                // Current live value next to the proposed one
+                diff: ticket.pendingRevision.changes.map((change) => ({
+                    field: change.field,
+                    current: ticket.get(change.field),
+                    proposed: change.to,
+                })),
+            },
+        });
+    } catch (error) {
+        console.error('Get ticket revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Approve pending revision - changes go live (Admin)
+// @route   PUT /api/tickets/:id/revision/approve
+// @access  Private/Admin
+const approveTicketRevision = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        if (!ticket.pendingRevision) {
+            return res.status(400).json({
+                success: false,
+                message: 'This ticket has no pending revision',
+            });
+        }
+
+        // Seats may have been booked while the revision was waiting
+        const changesSeatMap = ticket.pendingRevision.changes.some(
+            (change) => change.field === 'seatMap'
+        );
+        if (changesSeatMap && ticket.reservedSeats.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Seat layout cannot change because seats have been reserved. Reject this revision instead.',
+            });
+        }
+
+        const fields = ticket.pendingRevision.changes.map((change) => change.field);
+
+        const revisionError = applyRevision(ticket);
+        if (revisionError) {
+            return res.status(400).json({
+                success: false,
+                message: `${revisionError}. Reject this revision instead.`,
+            });
+        }
+
+        ticket.moderationHistory.push({
+            action: 'revision-approved',
+            by: req.user._id,
+            byRole: 'admin',
+            reason: req.body.reason || `Approved changes to: ${fields.join(', ')}`,
+        });
+        await ticket.save();
+        await processWaitlist(ticket._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Revision approved. Changes are now live.',
+            data: { ticket },
+        });
+    } catch (error) {
+        console.error('Approve ticket revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Reject pending revision - live ticket stays unchanged (Admin)
+// @route   PUT /api/tickets/:id/revision/reject
+// @access  Private/Admin
+const rejectTicketRevision = async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found',
+            });
+        }
+
+        if (!ticket.pendingRevision) {
+            return res.status(400).json({
+                success: false,
+                message: 'This ticket has no pending revision',
+            });
+        }
+
+        const { reason, fieldNotes } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a rejection reason',
+            });
+        }
+
+        const { notes, error: notesError } = parseFieldNotes(fieldNotes);
+
+        if (notesError) {
+            return res.status(400).json({
+                success: false,
+                message: notesError,
+            });
+        }
+
+        ticket.pendingRevision = null;
+        ticket.moderationHistory.push({
+            action: 'revision-rejected',
+            by: req.user._id,
+            byRole: 'admin',
+            reason,
+            fieldNotes: notes,
+        });
+        await ticket.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Revision rejected',
+            data: { ticket },
+        });
+    } catch (error) {
+        console.error('Reject ticket revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error',
+        });
+    }
+};
+
+// @desc    Get all tickets for admin (including pending/rejected)
+// @route   GET /api/tickets/admin/all
+// @access  Private/Admin
+const getAllTicketsForAdmin = async (req, res) => {
+    try {
+        const tickets = await Ticket.find()
+            .sort({ createdAt: -1 })
+            .populate('vendor', 'name email');
+
+        res.status(200).json({
             success: true,
             data: { tickets },
         });
@@ -415,7 +1472,24 @@ const approveTicket = async (req, res) => {
             });
         }
 
+        const { reason, fieldNotes } = req.body;
+        const { notes, error: notesError } = parseFieldNotes(fieldNotes);
+
+        if (notesError) {
+            return res.status(400).json({
+                success: false,
+                message: notesError,
+            });
+        }
+
         ticket.verificationStatus = 'approved';
+        ticket.moderationHistory.push({
+            action: 'approved',
+            by: req.user._id,
+            byRole: 'admin',
+            reason: reason || 'Approved',
+            fieldNotes: notes,
+        });
         await ticket.save();
 
         res.status(200).json({
@@ -446,7 +1520,35 @@ const rejectTicket = async (req, res) => {
             });
         }
 
+        const { reason, fieldNotes } = req.body;
+
+        // Vendor needs to know what to fix
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a rejection reason',
+            });
+        }
+
+        const { notes, error: notesError } = parseFieldNotes(fieldNotes);
+
+        if (notesError) {
+            return res.status(400).json({
+                success: false,
+                message: notesError,
+            });
+        }
+
         ticket.verificationStatus = 'rejected';
+        ticket.isAdvertised = false;
+        await cancelCampaigns({ ticket: ticket._id }, 'Ticket was rejected');
+        ticket.moderationHistory.push({
+            action: 'rejected',
+            by: req.user._id,
+            byRole: 'admin',
+            reason,
+            fieldNotes: notes,
+        });
         await ticket.save();
 
         res.status(200).json({
@@ -463,7 +1565,8 @@ const rejectTicket = async (req, res) => {
     }
 };
 
-// @desc    Toggle advertise ticket (Admin only)
+// @desc    Toggle advertise ticket (Admin only) - shortcut for a free
+//          campaign that runs until departure
 // @route   PUT /api/tickets/:id/advertise
 // @access  Private/Admin
 const toggleAdvertiseTicket = async (req, res) => {
@@ -477,6 +1580,23 @@ const toggleAdvertiseTicket = async (req, res) => {
             });
         }
 
+        const now = new Date();
+
+        // Turning off: stop whatever is on air for this ticket
+        if (ticket.isAdvertised) {
+            await cancelCampaigns(
+                { ticket: ticket._id, startsAt: { $lte: now } },
+                'Removed by admin'
+            );
+            await refreshTicketAdFlags([ticket._id]);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Ticket removed from advertisement',
+                data: { ticket: await Ticket.findById(ticket._id) },
+            });
+        }
+
         // Check if ticket is approved
         if (ticket.verificationStatus !== 'approved') {
             return res.status(400).json({
@@ -485,31 +1605,45 @@ const toggleAdvertiseTicket = async (req, res) => {
             });
         }
 
-        // If trying to advertise, check if limit reached
-        if (!ticket.isAdvertised) {
-            const advertisedCount = await Ticket.countDocuments({
-                isAdvertised: true,
-                verificationStatus: 'approved',
+        if (!ticket.departureDateTime || ticket.departureDateTime <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'This ticket has already departed',
             });
+        }
 
-            if (advertisedCount >= 6) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Maximum 6 tickets can be advertised at a time',
-                });
-            }
+        // Turning on: free campaign from now until departure in the
+        // first open slot
+        const slot = await findFreeSlot(now, ticket.departureDateTime);
+
+        if (!slot) {
+            return res.status(400).json({
+                success: false,
+                message: 'All ad slots are taken right now. Schedule a campaign instead.',
+            });
         }
 
-        // Toggle advertise status
-        ticket.isAdvertised = !ticket.isAdvertised;
+        const campaign = new AdCampaign({
+            ticket: ticket._id,
+            vendor: ticket.vendor,
+            startsAt: now,
+            endsAt: ticket.departureDateTime,
+            slot,
+            requestedBy: req.user._id,
+            reviewedBy: req.user._id,
+            reviewedAt: now,
+            note: 'Advertised by admin',
+        });
+        activateCampaign(campaign, now);
+        await campaign.save();
+
+        ticket.isAdvertised = true;
         await ticket.save();
 
         res.status(200).json({
             success: true,
-            message: ticket.isAdvertised
-                ? 'Ticket advertised successfully'
-                : 'Ticket removed from advertisement',
-            data: { ticket },
+            message: 'Ticket advertised successfully',
+            data: { ticket, campaign },
         });
     } catch (error) {
         console.error('Toggle advertise ticket error:', error);
@@ -523,12 +1657,24 @@ const toggleAdvertiseTicket = async (req, res) => {
 module.exports = {
     createTicket,
     getAllTickets,
+    searchJourneys,
     getLatestTickets,
     getAdvertisedTickets,
     getTicketById,
+    getTicketSeats,
+    getSeatLayoutTemplates,
     getMyTickets,
     updateTicket,
     deleteTicket,
+    cancelTrip,
+    getTicketManifest,
+    resubmitTicket,
+    getReviewQueue,
+    withdrawTicketRevision,
+    getPendingRevisions,
+    getTicketRevision,
+    approveTicketRevision,
+    rejectTicketRevision,
     getAllTicketsForAdmin,
     approveTicket,
     rejectTicket,
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Ticket = require('../models/Ticket');
+const { cancelCampaigns } = require('../utils/adCampaigns');
 
 // @desc    Get all users (Admin)
 // @route   GET /api/users
@@ -176,6 +177,7 @@ const markVendorAsFraud = async (req, res) => {
       { vendor: user._id },
       { verificationStatus: 'rejected', isAdvertised: false }
     );
+    await cancelCampaigns({ vendor: user._id }, 'Vendor marked as fraud');
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,264 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Ticket = require('../models/Ticket');
+const {
+  OPEN_WAITLIST_STATUSES,
+  getAvailableQuantity,
+  getOfferedQuantity,
+  processWaitlist,
+} = require('../utils/waitlist');
+
+// @desc    Join the waitlist of a sold-out ticket
+// @route   POST /api/waitlist
+// @access  Private/User
+const joinWaitlist = async (req, res) => {
+  try {
+    const { ticketId, quantity, fareClass: fareClassCode } = req.body;
+
+    if (!ticketId || !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide ticket ID and quantity',
+      });
+    }
+
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be at least 1',
+      });
+    }
+
+    const ticket = await Ticket.findById(ticketId);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (ticket.verificationStatus !== 'approved' || ticket.isCancelled || ticket.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: 'This ticket is not available',
+      });
+    }
+
+    let fareClass = null;
+    if (ticket.fareClasses.length > 0) {
+      fareClass = ticket.getFareClass(fareClassCode);
+
+      if (!fareClass) {
+        return res.status(400).json({
+          success: false,
+          message: `Please select a fare class: ${ticket.fareClasses
+            .map((fc) => fc.code)
+            .join(', ')}`,
+        });
+      }
+    }
+
+    // Only when the tickets cannot be booked right away
+    const available =
+      getAvailableQuantity(ticket, fareClass?.code) -
+      (await getOfferedQuantity(ticket._id, fareClass?.code));
+
+    if (Number(quantity) <= available) {
+      return res.status(400).json({
+        success: false,
+        message: 'These tickets are available - please book them directly',
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      ticket: ticket._id,
+      user: req.user._id,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this ticket',
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      ticket: ticket._id,
+      user: req.user._id,
+      quantity: Number(quantity),
+      fareClass: fareClass ? fareClass.code : '',
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      ticket: ticket._id,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${position} on the waitlist. We will offer you seats as soon as they free up.`,
+      data: { entry, position },
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Get my waitlist entries (with queue position and offers)
+// @route   GET /api/waitlist/my
+// @access  Private/User
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate(
+        'ticket',
+        'title image fromLocation toLocation transportType departureDate departureTime timeZone departureAt'
+      );
+
+    const data = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toJSON(),
+        position:
+          entry.status === 'waiting'
+            ? await WaitlistEntry.countDocuments({
+                ticket: entry.ticket?._id || entry.ticket,
+                status: 'waiting',
+                createdAt: { $lte: entry.createdAt },
+              })
+            : null,
+      }))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { entries: data },
+    });
+  } catch (error) {
+    console.error('Get my waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Leave a waitlist (or turn down an offer)
+// @route   DELETE /api/waitlist/:id
+// @access  Private/User
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found',
+      });
+    }
+
+    if (entry.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this waitlist entry',
+      });
+    }
+
+    if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This waitlist entry is already ${entry.status}`,
+      });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    entry.note = 'Left the waitlist';
+    await entry.save();
+
+    // Offered seats go to the next in line
+    if (wasOffered) {
+      await processWaitlist(entry.ticket);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: { entry },
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+// @desc    Waitlist demand per ticket (Vendor: own tickets)
+// @route   GET /api/waitlist/vendor
+// @access  Private/Vendor
+const getVendorWaitlist = async (req, res) => {
+  try {
+    const vendorTickets = await Ticket.find({ vendor: req.user._id }).select(
+      'title fromLocation toLocation departureDate departureTime quantity'
+    );
+    const ticketById = new Map(vendorTickets.map((ticket) => [ticket._id.toString(), ticket]));
+
+    const groups = await WaitlistEntry.aggregate([
+      {
+        $match: {
+          ticket: { $in: vendorTickets.map((ticket) => ticket._id) },
+          status: { $in: OPEN_WAITLIST_STATUSES },
+        },
+      },
+      {
+        $group: {
+          _id: '$ticket',
+          waitingEntries: { $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] } },
+          waitingSeats: {
+            $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, '$quantity', 0] },
+          },
+          offeredSeats: {
+            $sum: { $cond: [{ $eq: ['$status', 'offered'] }, '$quantity', 0] },
+          },
+        },
+      },
+      { $sort: { waitingSeats: -1 } },
+    ]);
+
+    const tickets = groups.map((group) => ({
+      ticket: ticketById.get(group._id.toString()),
+      waitingEntries: group.waitingEntries,
+      waitingSeats: group.waitingSeats,
+      offeredSeats: group.offeredSeats,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tickets,
+        totalWaitingSeats: tickets.reduce((sum, item) => sum + item.waitingSeats, 0),
+      },
+    });
+  } catch (error) {
+    console.error('Get vendor waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getVendorWaitlist,
+};
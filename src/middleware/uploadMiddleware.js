@@ -0,0 +1,73 @@
+const path = require('path');
+const multer = require('multer');
+const {
+  MAX_UPLOAD_SIZE,
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMPORT_FILE_SIZE,
+  ALLOWED_IMPORT_EXTENSIONS,
+} = require('../config/uploads');
+
+const rejectFile = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Keep uploads in memory - they are parsed or re-encoded before anything
+// is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+      return cb(rejectFile('Only JPEG, PNG and WebP images are allowed'));
+    }
+    cb(null, true);
+  },
+});
+
+// Spreadsheet MIME types differ between browsers, so check the extension
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_IMPORT_EXTENSIONS.includes(extension)) {
+      return cb(rejectFile('Only .csv and .xlsx files are allowed'));
+    }
+    cb(null, true);
+  },
+});
+
+// Accept a single file in `field` and answer upload errors with 400
+const acceptSingle = (upload, field, maxSize) => {
+  const handler = upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      let message = error.message;
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        message = `File must be smaller than ${Math.round(maxSize / 1024 / 1024)} MB`;
+      }
+
+      const isClientError =
+        error instanceof multer.MulterError || error.statusCode === 400;
+
+      res.status(isClientError ? 400 : 500).json({
+        success: false,
+        message,
+      });
+    });
+  };
+};
+
+const uploadImage = (field) => acceptSingle(imageUpload, field, MAX_UPLOAD_SIZE);
+
+const uploadSpreadsheet = (field) =>
+  acceptSingle(spreadsheetUpload, field, MAX_IMPORT_FILE_SIZE);
+
+module.exports = { uploadImage, uploadSpreadsheet };
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { AD_SLOT_COUNT } = require('../config/ads');
+
+// Homepage placement of a ticket for a time window
+const adCampaignSchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: [true, 'Ticket is required'],
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Vendor is required'],
+    },
+    // requested -> scheduled (approved) -> active -> ended
+    // requested -> rejected, or cancelled at any point before ending
+    status: {
+      type: String,
+      enum: ['requested', 'scheduled', 'active', 'ended', 'rejected', 'cancelled'],
+      default: 'requested',
+    },
+    startsAt: {
+      type: Date,
+      required: [true, 'Please provide campaign start time'],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'Please provide campaign end time'],
+    },
+    // Position on the homepage (1 = first); assigned by the admin
+    slot: {
+      type: Number,
+      min: [1, 'Slot must be at least 1'],
+      max: [AD_SLOT_COUNT, `Slot cannot be more than ${AD_SLOT_COUNT}`],
+      default: null,
+    },
+    // When campaigns overlap in one slot the highest priority is shown
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // Charged to the vendor when the campaign goes live
+    placementFee: {
+      type: Number,
+      min: [0, 'Placement fee cannot be negative'],
+      default: 0,
+    },
+    feeStatus: {
+      type: String,
+      enum: ['none', 'pending', 'charged'],
+      default: 'none',
+    },
+    chargedAt: {
+      type: Date,
+      default: null,
+    },
+    impressions: {
+      type: Number,
+      default: 0,
+    },
+    clicks: {
+      type: Number,
+      default: 0,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adCampaignSchema.index({ status: 1, startsAt: 1, endsAt: 1 });
+adCampaignSchema.index({ vendor: 1, createdAt: -1 });
+adCampaignSchema.index({ ticket: 1, status: 1 });
+
+adCampaignSchema.pre('validate', function () {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'Campaign must end after it starts');
+  }
+});
+
+// Click-through rate in percent
+adCampaignSchema.virtual('ctr').get(function () {
+  if (!this.impressions) {
+    return 0;
+  }
+  return Math.round((this.clicks / this.impressions) * 10000) / 100;
+});
+
+adCampaignSchema.set('toJSON', { virtuals: true });
+adCampaignSchema.set('toObject', { virtuals: true });
+
+const AdCampaign = mongoose.model('AdCampaign', adCampaignSchema);
+
+module.exports = AdCampaign;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    size: Number,
+  },
+  { _id: false }
+);
+
+// Uploaded image and its resized variants
+const assetSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+      enum: ['ticket', 'profile'],
+    },
+    originalName: {
+      type: String,
+      default: '',
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    storage: {
+      type: String,
+      required: true,
+    },
+    variants: [variantSchema],
+    // Ticket or user this image is attached to (null until used)
+    linkedModel: {
+      type: String,
+      enum: ['Ticket', 'User', null],
+      default: null,
+    },
+    linkedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'linkedModel',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assetSchema.index({ owner: 1, createdAt: -1 });
+assetSchema.index({ linkedModel: 1, linkedId: 1 });
+
+// URL of a variant by name
+assetSchema.methods.getVariantUrl = function (name) {
+  const variant = this.variants.find((item) => item.name === name);
+  return variant ? variant.url : null;
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+module.exports = Asset;
@@ -1,4 +1,93 @@
 const mongoose = require('mongoose');
+const {
+  getDepartureAt,
+  hasDeparted,
+  formatDeparture,
+} = require('../utils/departureTime');
+const { AGE_GROUPS, GENDERS, ID_TYPES } = require('../utils/passengers');
+
+// One status change and who made it (system = lifecycle scheduler)
+const statusEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    byRole: {
+      type: String,
+      enum: ['user', 'vendor', 'admin', 'system'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Someone travelling on the booking (shown to the ticket's vendor)
+const passengerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Passenger name is required'],
+      trim: true,
+    },
+    ageGroup: {
+      type: String,
+      enum: AGE_GROUPS,
+      default: 'adult',
+    },
+    gender: {
+      type: String,
+      enum: GENDERS,
+      required: [true, 'Passenger gender is required'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // NID or passport (optional; operators of some routes need it)
+    idType: {
+      type: String,
+      enum: [...ID_TYPES, ''],
+      default: '',
+    },
+    idNumber: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Seat given to this passenger (tickets with a seat map)
+    seatId: {
+      type: String,
+      default: '',
+    },
+    // Checked in at the gate (vendor scan)
+    boardedAt: {
+      type: Date,
+      default: null,
+    },
+    boardedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { _id: false }
+);
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -17,6 +106,41 @@ const bookingSchema = new mongoose.Schema(
       required: [true, 'Booking quantity is required'],
       min: [1, 'Booking quantity must be at least 1'],
     },
+    // Seat IDs picked by the passenger (only for tickets with a seat map)
+    seats: {
+      type: [String],
+      default: [],
+    },
+    // Short reference printed on the e-ticket (given when the booking is paid)
+    reference: {
+      type: String,
+    },
+    // One entry per booked ticket (empty on bookings made without details)
+    passengers: {
+      type: [passengerSchema],
+      default: [],
+    },
+    // Price before any coupon discount
+    subtotal: {
+      type: Number,
+      min: [0, 'Subtotal cannot be negative'],
+    },
+    // Coupon discount breakdown (empty when no coupon was used)
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null,
+      },
+      code: String,
+      discountType: String,
+      discountValue: Number,
+      amount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Amount to pay (subtotal - discount)
     totalPrice: {
       type: Number,
       required: [true, 'Total price is required'],
@@ -24,9 +148,42 @@ const bookingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected', 'paid'],
+      enum: ['pending', 'accepted', 'rejected', 'paid', 'expired', 'completed', 'cancelled'],
       default: 'pending',
     },
+    statusHistory: {
+      type: [statusEventSchema],
+      default: [],
+    },
+    // Vendor must accept or reject before this (never after departure)
+    responseDeadline: {
+      type: Date,
+      default: null,
+    },
+    // Passenger must pay before this once accepted (never after departure)
+    paymentDeadline: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once every passenger has boarded (bookings without passenger
+    // details board all at once)
+    boardedAt: {
+      type: Date,
+      default: null,
+    },
+    // Instant booking rule that accepted the booking (null when the
+    // vendor accepted it by hand)
+    instantBookingRule: {
+      type: {
+        source: { type: String, enum: ['ticket', 'vendor'] },
+        description: String,
+      },
+      default: null,
+    },
     // Store ticket details at booking time (in case ticket gets deleted)
     ticketSnapshot: {
       title: String,
@@ -34,8 +191,28 @@ const bookingSchema = new mongoose.Schema(
       toLocation: String,
       departureDate: Date,
       departureTime: String,
+      // Departure instant and the timezone the time above is in
+      departureAt: Date,
+      timeZone: String,
       transportType: String,
+      durationMinutes: Number,
+      unitPrice: Number,
+      // Fare class bought (empty for tickets without classes)
+      fareClass: {
+        code: String,
+        name: String,
+      },
+    },
+    // Price breakdown at booking time (for audit of dynamic pricing)
+    pricing: {
+      basePrice: Number,
       unitPrice: Number,
+      appliedRule: {
+        ruleId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        adjustmentType: String,
+        adjustmentValue: Number,
+      },
     },
     // Payment information
     paymentIntentId: {
@@ -51,6 +228,13 @@ const bookingSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Stripe refund of a paid booking (trip cancelled by the vendor)
+    refund: {
+      stripeRefundId: String,
+      amount: Number,
+      reason: String,
+      refundedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -61,6 +245,15 @@ const bookingSchema = new mongoose.Schema(
 bookingSchema.index({ user: 1, status: 1 });
 bookingSchema.index({ ticket: 1, status: 1 });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index(
+  { reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: 'string' } } }
+);
+bookingSchema.index({ 'discount.coupon': 1, status: 1 });
+// Lifecycle scheduler lookups
+bookingSchema.index({ status: 1, responseDeadline: 1 });
+bookingSchema.index({ status: 1, paymentDeadline: 1 });
+bookingSchema.index({ status: 1, 'ticketSnapshot.departureAt': 1 });
 
 // Virtual to check if booking is still valid for payment
 bookingSchema.virtual('canPay').get(function () {
@@ -68,12 +261,19 @@ bookingSchema.virtual('canPay').get(function () {
     return false;
   }
   
-  // Check if departure date has passed
-  const departureDateTime = new Date(this.ticketSnapshot.departureDate);
-  const [hours, minutes] = this.ticketSnapshot.departureTime.split(':');
-  departureDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  
-  return departureDateTime > new Date();
+  if (this.paymentDeadline && this.paymentDeadline <= new Date()) {
+    return false;
+  }
+
+  return !hasDeparted(this.ticketSnapshot);
+});
+
+// Departure as ISO instant and local wall-clock time
+bookingSchema.virtual('departure').get(function () {
+  if (!this.ticketSnapshot) {
+    return null;
+  }
+  return formatDeparture(getDepartureAt(this.ticketSnapshot), this.ticketSnapshot.timeZone);
 });
 
 // Ensure virtuals are included when converting to JSON
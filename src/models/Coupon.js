@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Please provide coupon code'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, - or _'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    discountType: {
+      type: String,
+      required: [true, 'Please provide discount type'],
+      enum: ['percent', 'flat'],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, 'Please provide discount value'],
+      min: [0, 'Discount value cannot be negative'],
+    },
+    // Cap for percent discounts (null = no cap)
+    maxDiscountAmount: {
+      type: Number,
+      min: [0, 'Max discount cannot be negative'],
+      default: null,
+    },
+    minOrderAmount: {
+      type: Number,
+      min: [0, 'Minimum order amount cannot be negative'],
+      default: 0,
+    },
+    // Usage limits (null = unlimited)
+    maxUses: {
+      type: Number,
+      min: [1, 'Max uses must be at least 1'],
+      default: null,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      min: [1, 'Max uses per user must be at least 1'],
+      default: 1,
+    },
+    // Active redemptions - only changed with atomic $inc
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      required: [true, 'Please provide start of validity'],
+    },
+    validUntil: {
+      type: Date,
+      required: [true, 'Please provide end of validity'],
+    },
+    // Empty lists mean "no restriction"
+    restrictions: {
+      routes: {
+        type: [
+          {
+            _id: false,
+            fromLocation: { type: String, trim: true },
+            toLocation: { type: String, trim: true },
+          },
+        ],
+        default: [],
+      },
+      transportTypes: {
+        type: [String],
+        enum: ['Bus', 'Train', 'Launch', 'Plane'],
+        default: [],
+      },
+      vendors: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'User',
+        default: [],
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdByRole: {
+      type: String,
+      enum: ['admin', 'vendor'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Percent discounts cannot exceed 100%
+couponSchema.pre('validate', function () {
+  if (this.discountType === 'percent' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percent discount cannot be more than 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'Coupon cannot end before it starts');
+  }
+});
+
+// Index for better query performance
+couponSchema.index({ createdBy: 1, createdAt: -1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Per-user redemption counter for a coupon.
+// One document per (coupon, user) so the per-user limit can be enforced
+// with a single atomic update.
+const couponUsageSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    count: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+module.exports = CouponUsage;
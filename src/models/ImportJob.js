@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const rowIssueSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      default: null,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const importRowSchema = new mongoose.Schema(
+  {
+    // Line in the uploaded file (header is line 1)
+    rowNumber: {
+      type: Number,
+      required: true,
+    },
+    // Values as they appeared in the file
+    raw: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Validation problems - a row with none is imported
+    issues: [rowIssueSchema],
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Bulk ticket upload: validated first (dry run), created on confirmation
+const importJobSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['validated', 'importing', 'completed', 'failed'],
+      default: 'validated',
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    validRows: {
+      type: Number,
+      default: 0,
+    },
+    invalidRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    rows: [importRowSchema],
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Reason when the whole job failed
+    failureReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ vendor: 1, createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
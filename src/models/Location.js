@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { normalizeLocationName } = require('../utils/locationNames');
+
+const TRANSPORT_TYPES = ['Bus', 'Train', 'Launch', 'Plane'];
+
+const terminalSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Terminal name is required'],
+      trim: true,
+    },
+    nameBn: {
+      type: String,
+      trim: true,
+    },
+    transportTypes: {
+      type: [String],
+      enum: TRANSPORT_TYPES,
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const locationSchema = new mongoose.Schema(
+  {
+    // Canonical English name used on tickets
+    name: {
+      type: String,
+      required: [true, 'Please provide location name'],
+      unique: true,
+      trim: true,
+    },
+    nameBn: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Other spellings in English or Bangla ("Chittagong", "চট্টগ্রাম")
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    district: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    division: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    transportTypes: {
+      type: [String],
+      enum: TRANSPORT_TYPES,
+      default: [],
+    },
+    terminals: {
+      type: [terminalSchema],
+      default: [],
+    },
+    // Every searchable spelling, normalized (kept in sync on save)
+    searchKeys: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Rebuild search keys from the name, aliases and terminal names
+locationSchema.pre('validate', function () {
+  const keys = [this.name, this.nameBn, ...this.aliases];
+  this.terminals.forEach((terminal) => keys.push(terminal.name, terminal.nameBn));
+
+  this.searchKeys = [
+    ...new Set(keys.map(normalizeLocationName).filter(Boolean)),
+  ];
+});
+
+// Index for better search performance
+locationSchema.index({ searchKeys: 1 });
+locationSchema.index({ division: 1, district: 1 });
+
+const Location = mongoose.model('Location', locationSchema);
+
+module.exports = Location;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('../config/time');
+const { isValidTimeZone } = require('../utils/departureTime');
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    // Route template - copied into every generated ticket
+    title: {
+      type: String,
+      required: [true, 'Please provide schedule title'],
+      trim: true,
+    },
+    image: {
+      type: String,
+      required: [true, 'Please provide ticket image'],
+    },
+    fromLocation: {
+      type: String,
+      required: [true, 'Please provide departure location'],
+      trim: true,
+    },
+    toLocation: {
+      type: String,
+      required: [true, 'Please provide destination location'],
+      trim: true,
+    },
+    // Catalog references (canonical names are stored in from/toLocation)
+    fromLocationRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    toLocationRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    fromTerminal: {
+      type: String,
+      default: null,
+    },
+    toTerminal: {
+      type: String,
+      default: null,
+    },
+    transportType: {
+      type: String,
+      required: [true, 'Please provide transport type'],
+      enum: ['Bus', 'Train', 'Launch', 'Plane'],
+    },
+    perks: {
+      type: [String],
+      default: [],
+    },
+    durationMinutes: {
+      type: Number,
+      min: [1, 'Duration must be at least 1 minute'],
+      default: null,
+    },
+    // Same shape as the `seatLayout` field accepted by POST /api/tickets
+    seatLayout: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    defaultPrice: {
+      type: Number,
+      required: [true, 'Please provide default price'],
+      min: [0, 'Price cannot be negative'],
+    },
+    defaultQuantity: {
+      type: Number,
+      min: [0, 'Quantity cannot be negative'],
+      default: 0,
+    },
+    // Recurrence rule
+    daysOfWeek: {
+      type: [Number],
+      required: [true, 'Please provide days of week'],
+      validate: {
+        validator: (days) =>
+          days.length > 0 && days.every((day) => day >= 0 && day <= 6),
+        message: 'Days of week must be numbers from 0 (Sunday) to 6 (Saturday)',
+      },
+    },
+    departureTime: {
+      type: String,
+      required: [true, 'Please provide departure time'],
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Departure time must be in HH:mm format'],
+    },
+    // Timezone of departureTime (copied onto generated tickets)
+    timeZone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown timezone: {VALUE}',
+      },
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Please provide start date'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Please provide end date'],
+    },
+    // How many days ahead tickets are generated
+    generateDaysAhead: {
+      type: Number,
+      min: [1, 'Must generate at least 1 day ahead'],
+      max: [90, 'Cannot generate more than 90 days ahead'],
+      default: 14,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastGeneratedAt: {
+      type: Date,
+      default: null,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Vendor is required'],
+    },
+    vendorName: {
+      type: String,
+      required: true,
+    },
+    vendorEmail: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// End date must not be before start date
+scheduleSchema.pre('validate', function () {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+});
+
+// Index for better query performance
+scheduleSchema.index({ vendor: 1, createdAt: -1 });
+scheduleSchema.index({ isActive: 1, endDate: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
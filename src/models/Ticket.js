@@ -1,4 +1,273 @@
 const mongoose = require('mongoose');
+const { SEAT_POSITIONS } = require('../utils/seatLayouts');
+const { computeEffectivePrice } = require('../utils/pricing');
+const { DEFAULT_TIMEZONE } = require('../config/time');
+const {
+  isValidTimeZone,
+  buildDepartureAt,
+  getDepartureAt,
+  hasDeparted,
+  formatDeparture,
+} = require('../utils/departureTime');
+
+// Seat map sub-documents (optional - tickets without a seat map are sold by quantity)
+const seatSchema = new mongoose.Schema(
+  {
+    seatId: {
+      type: String,
+      required: [true, 'Seat ID is required'],
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    position: {
+      type: String,
+      enum: SEAT_POSITIONS,
+    },
+    isBlocked: {
+      type: Boolean,
+      default: false,
+    },
+    // Fare class code this seat is sold in (optional)
+    fareClass: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const seatRowSchema = new mongoose.Schema(
+  {
+    label: String,
+    seats: {
+      type: [seatSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const seatMapSchema = new mongoose.Schema(
+  {
+    template: String,
+    rows: {
+      type: [seatRowSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// Fare class (economy/business, AC/non-AC, deck/cabin...) with its own price and inventory
+const fareClassSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Fare class code is required'],
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Fare class name is required'],
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: [true, 'Fare class price is required'],
+      min: [0, 'Price cannot be negative'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Fare class quantity is required'],
+      min: [0, 'Quantity cannot be negative'],
+    },
+    perks: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// Tickets of this class left after active holds
+fareClassSchema.virtual('availableQuantity').get(function () {
+  const ticket = this.ownerDocument();
+  return Math.max(this.quantity - ticket.getHeldQuantity(this.code), 0);
+});
+
+fareClassSchema.set('toJSON', { virtuals: true });
+fareClassSchema.set('toObject', { virtuals: true });
+
+// Tickets kept for an unpaid booking until it is paid, dropped or the
+// hold expires. Quantity itself only goes down on payment.
+const inventoryHoldSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    // Fare class code (empty for tickets without classes)
+    fareClass: {
+      type: String,
+      default: '',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Instant booking for this ticket. `enabled` null follows the vendor's
+// settings; true/false (with the rules below) replaces them for this ticket.
+// Unset rules don't limit anything.
+const instantBookingSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: null,
+    },
+    maxSeatsPerBooking: {
+      type: Number,
+      min: [1, 'Seat limit must be at least 1'],
+      default: null,
+    },
+    returningPassengersOnly: {
+      type: Boolean,
+      default: false,
+    },
+    cutoffHoursBeforeDeparture: {
+      type: Number,
+      min: [0, 'Cutoff hours cannot be negative'],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Vendor pricing rule - all given conditions must match for the rule to apply.
+// Negative adjustment values are discounts, positive ones surcharges.
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pricing rule name is required'],
+    trim: true,
+  },
+  conditions: {
+    // Percentage of capacity already sold (0-100)
+    minLoadFactor: { type: Number, min: 0, max: 100 },
+    maxLoadFactor: { type: Number, min: 0, max: 100 },
+    // Hours left until departure
+    minHoursBeforeDeparture: { type: Number, min: 0 },
+    maxHoursBeforeDeparture: { type: Number, min: 0 },
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: [true, 'Adjustment type is required'],
+  },
+  adjustmentValue: {
+    type: Number,
+    required: [true, 'Adjustment value is required'],
+  },
+  // Higher priority wins when several rules match
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// One moderation event (submission or admin decision)
+const moderationEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: [
+        'submitted',
+        'approved',
+        'rejected',
+        'resubmitted',
+        'revision-submitted',
+        'revision-approved',
+        'revision-rejected',
+        'revision-withdrawn',
+      ],
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    byRole: {
+      type: String,
+      enum: ['vendor', 'admin', 'system'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Notes on specific fields, e.g. { field: 'image', note: 'Blurry photo' }
+    fieldNotes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          note: { type: String, required: true, trim: true },
+        },
+      ],
+      default: [],
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Edits to an approved ticket waiting for admin review
+const pendingRevisionSchema = new mongoose.Schema(
+  {
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          from: mongoose.Schema.Types.Mixed,
+          to: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      default: [],
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { _id: false }
+);
 
 const ticketSchema = new mongoose.Schema(
   {
@@ -11,6 +280,12 @@ const ticketSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Please provide ticket image'],
     },
+    // Uploaded image behind `image` (null when `image` is an external URL)
+    imageAsset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+      default: null,
+    },
     fromLocation: {
       type: String,
       required: [true, 'Please provide departure location'],
@@ -21,6 +296,25 @@ const ticketSchema = new mongoose.Schema(
       required: [true, 'Please provide destination location'],
       trim: true,
     },
+    // Catalog references (canonical names are stored in from/toLocation)
+    fromLocationRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    toLocationRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    fromTerminal: {
+      type: String,
+      default: null,
+    },
+    toTerminal: {
+      type: String,
+      default: null,
+    },
     transportType: {
       type: String,
       required: [true, 'Please provide transport type'],
@@ -37,6 +331,12 @@ const ticketSchema = new mongoose.Schema(
       min: [0, 'Quantity cannot be negative'],
       default: 0,
     },
+    // Seats sold so far (used for load-factor pricing)
+    soldQuantity: {
+      type: Number,
+      min: [0, 'Sold quantity cannot be negative'],
+      default: 0,
+    },
     departureDate: {
       type: Date,
       required: [true, 'Please provide departure date'],
@@ -45,19 +345,106 @@ const ticketSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Please provide departure time'],
     },
+    // Timezone the departure date and time are given in
+    timeZone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown timezone: {VALUE}',
+      },
+    },
+    // Real departure instant (UTC), rebuilt from date + time + timezone
+    // on every save
+    departureAt: {
+      type: Date,
+      default: null,
+    },
+    // Travel time in minutes - needed to chain tickets into multi-leg journeys
+    durationMinutes: {
+      type: Number,
+      min: [1, 'Duration must be at least 1 minute'],
+      default: null,
+    },
     perks: {
       type: [String],
       default: [],
     },
+    // When fare classes exist, price is the lowest class price and
+    // quantity is the sum of class quantities (kept in sync on save)
+    fareClasses: {
+      type: [fareClassSchema],
+      default: [],
+    },
+    pricingRules: {
+      type: [pricingRuleSchema],
+      default: [],
+    },
+    instantBooking: {
+      type: instantBookingSchema,
+      default: () => ({}),
+    },
+    seatMap: {
+      type: seatMapSchema,
+      default: null,
+    },
+    // Seat IDs held by pending/accepted/paid bookings
+    reservedSeats: {
+      type: [String],
+      default: [],
+    },
+    holds: {
+      type: [inventoryHoldSchema],
+      default: [],
+    },
     verificationStatus: {
       type: String,
       enum: ['pending', 'approved', 'rejected'],
       default: 'pending',
     },
+    // When the ticket last entered the review queue
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    moderationHistory: {
+      type: [moderationEventSchema],
+      default: [],
+    },
+    pendingRevision: {
+      type: pendingRevisionSchema,
+      default: null,
+    },
+    // Set when the vendor cancels the trip (bookings are cancelled/refunded)
+    isCancelled: {
+      type: Boolean,
+      default: false,
+    },
+    cancellation: {
+      reason: String,
+      cancelledAt: Date,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Outcome of all cancellation runs (failedRefunds: of the last one)
+      summary: {
+        cancelledBookings: Number,
+        refundedBookings: Number,
+        refundedAmount: Number,
+        failedRefunds: Number,
+      },
+    },
     isAdvertised: {
       type: Boolean,
       default: false,
     },
+    // Set when the ticket was generated from a recurring schedule
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Schedule',
+      default: null,
+    },
     vendor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -80,29 +467,174 @@ const ticketSchema = new mongoose.Schema(
 // Index for better search performance
 ticketSchema.index({ fromLocation: 1, toLocation: 1, transportType: 1 });
 ticketSchema.index({ verificationStatus: 1, isAdvertised: 1 });
+ticketSchema.index({ verificationStatus: 1, submittedAt: 1 });
+ticketSchema.index({ 'pendingRevision.submittedAt': 1 });
 ticketSchema.index({ createdAt: -1 });
+ticketSchema.index({ schedule: 1, departureDate: 1 });
+ticketSchema.index({ fromLocationRef: 1, toLocationRef: 1, departureDate: 1 });
+ticketSchema.index({ departureAt: 1 });
+ticketSchema.index({ 'holds.expiresAt': 1 });
 
-// Virtual field to check if ticket is expired - FIXED VERSION
-ticketSchema.virtual('isExpired').get(function () {
-  // Safety check for departureTime and departureDate
-  if (!this.departureTime || !this.departureDate) {
-    return false;
+// Keep the stored departure instant in step with date, time and timezone
+ticketSchema.pre('validate', function () {
+  this.departureAt = buildDepartureAt(this.departureDate, this.departureTime, this.timeZone);
+});
+
+// Keep price/quantity in sync with fare classes
+ticketSchema.pre('validate', function () {
+  if (!this.fareClasses || this.fareClasses.length === 0) {
+    return;
   }
 
-  try {
-    const departureDateTime = new Date(this.departureDate);
-    const [hours, minutes] = this.departureTime.split(':');
-    departureDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    
-    return departureDateTime < new Date();
-  } catch (error) {
-    console.error('Error calculating isExpired:', error);
-    return false;
+  const codes = this.fareClasses.map((fareClass) => fareClass.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('fareClasses', 'Fare class codes must be unique');
+    return;
   }
+
+  this.price = Math.min(...this.fareClasses.map((fareClass) => fareClass.price));
+  this.quantity = this.fareClasses.reduce(
+    (sum, fareClass) => sum + fareClass.quantity,
+    0
+  );
 });
 
-// Ensure virtuals are included when converting to JSON
-ticketSchema.set('toJSON', { virtuals: true });
+// Virtual field with the latest admin decision (so vendors see why)
+ticketSchema.virtual('lastDecision').get(function () {
+  const history = this.moderationHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (['approved', 'rejected'].includes(history[i].action)) {
+      return history[i];
+    }
+  }
+  return null;
+});
+
+// Virtual field for the lowest current price across fare classes
+ticketSchema.virtual('fromPrice').get(function () {
+  return computeEffectivePrice(this).unitPrice;
+});
+
+// Virtual field with the current effective prices (after pricing rules)
+ticketSchema.virtual('pricing').get(function () {
+  const pricing = computeEffectivePrice(this);
+
+  return {
+    ...pricing,
+    fareClasses: (this.fareClasses || []).map((fareClass) => ({
+      code: fareClass.code,
+      ...computeEffectivePrice(this, fareClass),
+    })),
+  };
+});
+
+// Find a fare class by its code
+ticketSchema.methods.getFareClass = function (code) {
+  if (!code || !this.fareClasses) {
+    return null;
+  }
+
+  return (
+    this.fareClasses.find(
+      (fareClass) => fareClass.code === String(code).trim().toUpperCase()
+    ) || null
+  );
+};
+
+// Tickets held by unpaid bookings (all classes when no code is given);
+// expired holds no longer count even before they are cleaned up
+ticketSchema.methods.getHeldQuantity = function (fareClassCode = null, now = new Date()) {
+  return (this.holds || [])
+    .filter(
+      (hold) =>
+        hold.expiresAt > now &&
+        (fareClassCode === null || hold.fareClass === String(fareClassCode).toUpperCase())
+    )
+    .reduce((sum, hold) => sum + hold.quantity, 0);
+};
+
+// Tickets that can still be booked (quantity minus active holds)
+ticketSchema.virtual('availableQuantity').get(function () {
+  return Math.max(this.quantity - this.getHeldQuantity(), 0);
+});
+
+// Virtual field with the departure instant (kept for older clients)
+ticketSchema.virtual('departureDateTime').get(function () {
+  return getDepartureAt(this);
+});
+
+// Departure as ISO instant and local wall-clock time
+ticketSchema.virtual('departure').get(function () {
+  return formatDeparture(getDepartureAt(this), this.timeZone);
+});
+
+// Virtual field for the arrival moment (only when duration is known)
+ticketSchema.virtual('arrivalDateTime').get(function () {
+  const departure = this.departureDateTime;
+  if (!departure || !this.durationMinutes) {
+    return null;
+  }
+
+  return new Date(departure.getTime() + this.durationMinutes * 60 * 1000);
+});
+
+// Virtual field to check if ticket is expired
+ticketSchema.virtual('isExpired').get(function () {
+  return hasDeparted(this);
+});
+
+// Virtual field to check if passengers can pick seats
+ticketSchema.virtual('hasSeatMap').get(function () {
+  return Boolean(this.seatMap && this.seatMap.rows && this.seatMap.rows.length);
+});
+
+// Seat map with the current status of every seat (free, reserved or blocked)
+ticketSchema.methods.getSeatAvailability = function () {
+  if (!this.hasSeatMap) {
+    return null;
+  }
+
+  const reserved = new Set(this.reservedSeats || []);
+  const freeSeats = [];
+
+  const rows = this.seatMap.rows.map((row) => ({
+    label: row.label,
+    seats: row.seats.map((seat) => {
+      let status = 'free';
+      if (seat.isBlocked) {
+        status = 'blocked';
+      } else if (reserved.has(seat.seatId)) {
+        status = 'reserved';
+      } else {
+        freeSeats.push(seat.seatId);
+      }
+
+      return {
+        seatId: seat.seatId,
+        label: seat.label,
+        position: seat.position,
+        status,
+      };
+    }),
+  }));
+
+  return {
+    template: this.seatMap.template,
+    rows,
+    freeSeats,
+    freeCount: freeSeats.length,
+  };
+};
+
+// Ensure virtuals are included when converting to JSON (holds point at
+// other users' bookings and stay internal)
+ticketSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.holds;
+    return ret;
+  },
+});
 ticketSchema.set('toObject', { virtuals: true });
 
 const Ticket = mongoose.model('Ticket', ticketSchema);
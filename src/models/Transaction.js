@@ -46,6 +46,19 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Set when the payment was refunded
+    refundId: {
+      type: String,
+      default: null,
+    },
+    refundedAt: {
+      type: Date,
+      default: null,
+    },
+    refundReason: {
+      type: String,
+      default: '',
+    },
     // Store ticket title for easy reference
     ticketTitle: {
       type: String,
@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { AGE_GROUPS, GENDERS, ID_TYPES } = require('../utils/passengers');
+
+// Traveller the user often books for (filled into bookings by ID)
+const savedTravellerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Traveller name is required'],
+      trim: true,
+    },
+    ageGroup: {
+      type: String,
+      enum: AGE_GROUPS,
+      default: 'adult',
+    },
+    gender: {
+      type: String,
+      enum: GENDERS,
+      required: [true, 'Traveller gender is required'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    idType: {
+      type: String,
+      enum: [...ID_TYPES, ''],
+      default: '',
+    },
+    idNumber: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,6 +68,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Uploaded photo behind `photoURL` (null when it is an external URL)
+    photoAsset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+      default: null,
+    },
     role: {
       type: String,
       enum: ['user', 'vendor', 'admin'],
@@ -39,6 +83,32 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    savedTravellers: {
+      type: [savedTravellerSchema],
+      default: [],
+    },
+    // Vendors: accept bookings on all their tickets without a manual
+    // response (a ticket's own instant booking settings take precedence)
+    instantBooking: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      maxSeatsPerBooking: {
+        type: Number,
+        min: [1, 'Seat limit must be at least 1'],
+        default: null,
+      },
+      returningPassengersOnly: {
+        type: Boolean,
+        default: false,
+      },
+      cutoffHoursBeforeDeparture: {
+        type: Number,
+        min: [0, 'Cutoff hours cannot be negative'],
+        default: null,
+      },
+    },
     firebaseUID: {
       type: String,
       sparse: true, // Allows null values but maintains uniqueness
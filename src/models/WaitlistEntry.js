@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A user waiting for seats on a sold-out ticket. Entries are offered
+// seats in the order they joined (createdAt).
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: [true, 'Ticket is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Please provide the number of tickets wanted'],
+      min: [1, 'Quantity must be at least 1'],
+    },
+    // Fare class code (empty for tickets without classes)
+    fareClass: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: '',
+    },
+    // waiting -> offered -> claimed (booked within the window)
+    // offered -> expired (not claimed in time), or cancelled at any point
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offeredAt: {
+      type: Date,
+      default: null,
+    },
+    // Seats are kept for this user until then
+    offerExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open entry per user and ticket
+waitlistEntrySchema.index(
+  { ticket: 1, user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['waiting', 'offered'] } },
+  }
+);
+waitlistEntrySchema.index({ ticket: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
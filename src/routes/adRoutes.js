@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  createCampaign,
+  getCampaigns,
+  approveCampaign,
+  rejectCampaign,
+  cancelCampaign,
+  recordClick,
+} = require('../controllers/adCampaignController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, checkFraudStatus } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// Public route
+router.post('/:id/click', recordClick); // Record ad click
+
+// Vendor & admin routes
+router.post(
+  '/',
+  protect,
+  authorize('vendor', 'admin'),
+  checkFraudStatus,
+  createCampaign
+); // Request (vendor) or schedule (admin) a campaign
+router.get('/', protect, authorize('vendor', 'admin'), getCampaigns); // Get campaigns
+router.delete('/:id', protect, authorize('vendor', 'admin'), cancelCampaign); // Cancel campaign
+
+// Admin routes
+router.put('/:id/approve', protect, authorize('admin'), approveCampaign); // Approve request
+router.put('/:id/reject', protect, authorize('admin'), rejectCampaign); // Reject request
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  uploadAsset,
+  getMyAssets,
+  getAssetById,
+  deleteAsset,
+} = require('../controllers/assetController');
+const { protect } = require('../middleware/authMiddleware');
+const { checkFraudStatus } = require('../middleware/roleMiddleware');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// All routes need a logged-in user
+router.use(protect);
+
+router.post('/', checkFraudStatus, uploadImage('image'), uploadAsset); // Upload image
+router.get('/', getMyAssets); // My uploads
+router.get('/:id', getAssetById); // Single upload
+router.delete('/:id', deleteAsset); // Delete unused upload
+
+module.exports = router;
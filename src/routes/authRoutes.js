@@ -4,6 +4,10 @@ const {
   login,
   getMe,
   updateProfile,
+  getSavedTravellers,
+  addSavedTraveller,
+  updateSavedTraveller,
+  deleteSavedTraveller,
 } = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
 
@@ -17,4 +21,10 @@ router.post('/login', login);
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
 
+// Saved travellers (filled into bookings by ID)
+router.get('/travellers', protect, getSavedTravellers);
+router.post('/travellers', protect, addSavedTraveller);
+router.put('/travellers/:travellerId', protect, updateSavedTraveller);
+router.delete('/travellers/:travellerId', protect, deleteSavedTraveller);
+
 module.exports = router;
\ No newline at end of file
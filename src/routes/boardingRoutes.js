@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  scanBoardingPass,
+  getDepartureBoarding,
+} = require('../controllers/boardingController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// Vendor routes
+router.post('/scan', protect, authorize('vendor'), scanBoardingPass); // Scan e-ticket at the gate
+router.get(
+  '/tickets/:ticketId',
+  protect,
+  authorize('vendor', 'admin'),
+  getDepartureBoarding
+); // Boarding summary of a departure
+
+module.exports = router;
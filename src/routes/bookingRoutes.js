@@ -3,10 +3,14 @@ const {
   createBooking,
   getMyBookings,
   getBookingById,
+  getBookingETicket,
+  getETicketKey,
   getVendorBookingRequests,
   acceptBooking,
   rejectBooking,
   cancelBooking,
+  getInstantBookingSettings,
+  updateInstantBookingSettings,
   getVendorRevenue,
   getAllBookings,
 } = require('../controllers/bookingController');
@@ -15,6 +19,9 @@ const { authorize } = require('../middleware/roleMiddleware');
 
 const router = express.Router();
 
+// Public routes
+router.get('/eticket-key', getETicketKey); // Public key for offline e-ticket checks
+
 // User routes
 router.post('/', protect, authorize('user'), createBooking); // Create booking
 router.get('/my-bookings', protect, authorize('user'), getMyBookings); // Get user's bookings
@@ -30,11 +37,24 @@ router.get(
 router.put('/:id/accept', protect, authorize('vendor'), acceptBooking); // Accept booking
 router.put('/:id/reject', protect, authorize('vendor'), rejectBooking); // Reject booking
 router.get('/vendor/revenue', protect, authorize('vendor'), getVendorRevenue); // Get revenue
+router.get(
+  '/vendor/instant-booking',
+  protect,
+  authorize('vendor'),
+  getInstantBookingSettings
+); // Get instant booking settings
+router.put(
+  '/vendor/instant-booking',
+  protect,
+  authorize('vendor'),
+  updateInstantBookingSettings
+); // Update instant booking settings
 
 // Admin routes
 router.get('/admin/all', protect, authorize('admin'), getAllBookings); // Get all bookings
 
 // Common routes (accessible by user, vendor, admin based on ownership)
 router.get('/:id', protect, getBookingById); // Get single booking
+router.get('/:id/eticket', protect, getBookingETicket); // Download e-ticket (PDF)
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  createCoupon,
+  getCoupons,
+  updateCoupon,
+  deactivateCoupon,
+  validateCouponCode,
+  getCouponUsageReport,
+  getCouponUsage,
+} = require('../controllers/couponController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, checkFraudStatus } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// User routes
+router.post('/validate', protect, authorize('user'), validateCouponCode); // Preview discount
+
+// Admin routes
+router.get('/admin/usage', protect, authorize('admin'), getCouponUsageReport); // Usage per campaign
+
+// Admin & vendor routes
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'vendor'),
+  checkFraudStatus,
+  createCoupon
+); // Create coupon
+router.get('/', protect, authorize('admin', 'vendor'), getCoupons); // Get coupons
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'vendor'),
+  checkFraudStatus,
+  updateCoupon
+); // Update coupon
+router.delete('/:id', protect, authorize('admin', 'vendor'), deactivateCoupon); // Deactivate coupon
+router.get('/:id/usage', protect, authorize('admin', 'vendor'), getCouponUsage); // Coupon usage
+
+module.exports = router;
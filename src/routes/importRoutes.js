@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getImportTemplate,
+  uploadTicketImport,
+  confirmTicketImport,
+  getMyImports,
+  getImportById,
+  downloadImportReport,
+} = require('../controllers/importController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, checkFraudStatus } = require('../middleware/roleMiddleware');
+const { uploadSpreadsheet } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// All import routes are vendor-only
+router.use(protect, authorize('vendor'));
+
+router.get('/tickets/template', getImportTemplate); // CSV template
+router.post(
+  '/tickets',
+  checkFraudStatus,
+  uploadSpreadsheet('file'),
+  uploadTicketImport
+); // Upload and validate (dry run)
+router.get('/', getMyImports); // My imports
+router.get('/:id', getImportById); // Import status and errors
+router.get('/:id/report', downloadImportReport); // Error report (CSV)
+router.post('/:id/confirm', checkFraudStatus, confirmTicketImport); // Create valid rows
+
+module.exports = router;
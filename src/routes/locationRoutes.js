@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getLocations,
+  autocompleteLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+} = require('../controllers/locationController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getLocations); // Get location catalog
+router.get('/autocomplete', autocompleteLocations); // Autocomplete location names
+router.get('/:id', getLocationById); // Get single location
+
+// Admin routes
+router.post('/', protect, authorize('admin'), createLocation); // Create location
+router.put('/:id', protect, authorize('admin'), updateLocation); // Update location
+router.delete('/:id', protect, authorize('admin'), deleteLocation); // Delete location
+
+module.exports = router;
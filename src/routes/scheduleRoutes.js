@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createSchedule,
+  getMySchedules,
+  getScheduleById,
+  updateSchedule,
+  generateScheduleTickets,
+  deleteSchedule,
+} = require('../controllers/scheduleController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, checkFraudStatus } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// All routes are vendor-only
+router.use(protect, authorize('vendor'));
+
+router.post('/', checkFraudStatus, createSchedule); // Create schedule
+router.get('/', getMySchedules); // Get vendor's schedules
+router.get('/:id', getScheduleById); // Get single schedule
+router.put('/:id', checkFraudStatus, updateSchedule); // Update schedule
+router.post('/:id/generate', checkFraudStatus, generateScheduleTickets); // Generate tickets now
+router.delete('/:id', deleteSchedule); // Delete schedule
+
+module.exports = router;
@@ -2,12 +2,24 @@ const express = require('express');
 const {
   createTicket,
   getAllTickets,
+  searchJourneys,
   getLatestTickets,
   getAdvertisedTickets,
   getTicketById,
+  getTicketSeats,
+  getSeatLayoutTemplates,
   getMyTickets,
   updateTicket,
   deleteTicket,
+  cancelTrip,
+  getTicketManifest,
+  resubmitTicket,
+  getReviewQueue,
+  withdrawTicketRevision,
+  getPendingRevisions,
+  getTicketRevision,
+  approveTicketRevision,
+  rejectTicketRevision,
   getAllTicketsForAdmin,
   approveTicket,
   rejectTicket,
@@ -20,9 +32,12 @@ const router = express.Router();
 
 // Public routes
 router.get('/', getAllTickets); // Get all approved tickets (with filters)
+router.get('/journeys', searchJourneys); // Search multi-leg journeys
 router.get('/latest', getLatestTickets); // Get latest tickets for homepage
 router.get('/advertised', getAdvertisedTickets); // Get advertised tickets
+router.get('/seat-layouts', getSeatLayoutTemplates); // Get seat layout templates
 router.get('/:id', getTicketById); // Get single ticket
+router.get('/:id/seats', getTicketSeats); // Get seat availability
 
 // Vendor routes (protected)
 router.post(
@@ -47,9 +62,39 @@ router.delete(
   checkFraudStatus,
   deleteTicket
 ); // Delete ticket
+router.put(
+  '/:id/cancel',
+  protect,
+  authorize('vendor'),
+  cancelTrip
+); // Cancel trip (refunds paid bookings)
+router.get(
+  '/:id/manifest',
+  protect,
+  authorize('vendor', 'admin'),
+  getTicketManifest
+); // Passenger manifest (JSON, PDF or CSV)
+router.put(
+  '/:id/resubmit',
+  protect,
+  authorize('vendor'),
+  checkFraudStatus,
+  resubmitTicket
+); // Resubmit rejected ticket
+router.delete(
+  '/:id/revision',
+  protect,
+  authorize('vendor'),
+  withdrawTicketRevision
+); // Withdraw pending revision
 
 // Admin routes (protected)
 router.get('/admin/all', protect, authorize('admin'), getAllTicketsForAdmin); // Get all tickets
+router.get('/admin/review-queue', protect, authorize('admin'), getReviewQueue); // Pending tickets by waiting time
+router.get('/admin/revisions', protect, authorize('admin'), getPendingRevisions); // Tickets with pending revisions
+router.get('/:id/revision', protect, authorize('admin'), getTicketRevision); // Revision diff
+router.put('/:id/revision/approve', protect, authorize('admin'), approveTicketRevision); // Approve revision
+router.put('/:id/revision/reject', protect, authorize('admin'), rejectTicketRevision); // Reject revision
 router.put('/:id/approve', protect, authorize('admin'), approveTicket); // Approve ticket
 router.put('/:id/reject', protect, authorize('admin'), rejectTicket); // Reject ticket
 router.put('/:id/advertise', protect, authorize('admin'), toggleAdvertiseTicket); // Toggle advertise
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getVendorWaitlist,
+} = require('../controllers/waitlistController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// User routes
+router.post('/', protect, authorize('user'), joinWaitlist); // Join waitlist
+router.get('/my', protect, authorize('user'), getMyWaitlist); // Get my entries and offers
+router.delete('/:id', protect, authorize('user'), leaveWaitlist); // Leave waitlist
+
+// Vendor routes
+router.get('/vendor', protect, authorize('vendor'), getVendorWaitlist); // Waitlist demand per ticket
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// Find (and with --repair, fix) payments that were only partly applied:
+// paid bookings without a transaction, tickets whose sold count doesn't
+// match their paid bookings and (with --stripe) succeeded payments that
+// were never confirmed. Sold counts are only right once npm run
+// migrate:sold has been run.
+//
+//   npm run payments:check                       -> only report
+//   npm run payments:check -- --repair           -> report and repair
+//   npm run payments:check -- --stripe           -> also ask Stripe about unpaid bookings
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+dotenv.config();
+
+// Loaded after dotenv - Stripe reads its key on require
+const { checkPaymentConsistency } = require('../utils/paymentConsistency');
+
+const repair = process.argv.includes('--repair');
+const checkStripe = process.argv.includes('--stripe');
+
+const run = async () => {
+  await connectDB();
+
+  const report = await checkPaymentConsistency({ repair, checkStripe });
+  const suffix = repair ? '' : ' (report only)';
+
+  console.log(`✅ Paid bookings without a transaction: ${report.missingTransactions.length}${suffix}`);
+  report.missingTransactions.forEach((item) =>
+    console.log(`   - booking ${item.bookingId} (${item.paymentIntentId})`)
+  );
+
+  console.log(`✅ Tickets with a wrong sold count: ${report.inventoryMismatches.length}${suffix}`);
+  report.inventoryMismatches.forEach((item) =>
+    console.log(
+      `   - ${item.title} (${item.ticketId}): sold ${item.soldQuantity}, paid bookings ${item.expectedSoldQuantity}` +
+        (item.needsReview ? ' ⚠️  has fare classes, fix by hand' : item.repaired ? ' - repaired' : '')
+    )
+  );
+
+  if (checkStripe) {
+    console.log(`✅ Succeeded payments never confirmed: ${report.unsettledPayments.length}${suffix}`);
+    report.unsettledPayments.forEach((item) =>
+      console.log(
+        `   - booking ${item.bookingId} (${item.status}, ${item.paymentIntentId})` +
+          (item.outcome ? ` - ${item.outcome}` : '')
+      )
+    );
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`❌ Payment consistency check failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+// Create the Ed25519 key pair that signs e-ticket QR codes.
+//
+//   npm run etickets:keygen   -> prints ETICKET_PRIVATE_KEY for .env and the
+//        public key for scanner apps (also served at GET /api/bookings/eticket-key)
+//
+// Changing the key makes e-tickets issued before invalid.
+const crypto = require('crypto');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+console.log('✅ Add this line to .env (keep it secret):\n');
+console.log(`ETICKET_PRIVATE_KEY="${privatePem.trim().replace(/\n/g, '\\n')}"\n`);
+console.log('Public key for scanners:\n');
+console.log(publicPem);
@@ -0,0 +1,23 @@
+// Generate tickets for all active schedules.
+// Run from a daily cron job: npm run schedules:generate
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { generateAllSchedules } = require('../utils/scheduleGenerator');
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const results = await generateAllSchedules();
+  results.forEach((result) => console.log(JSON.stringify(result)));
+  console.log(`✅ Processed ${results.length} schedule(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`❌ Schedule generation failed: ${error.message}`);
+  process.exit(1);
+});
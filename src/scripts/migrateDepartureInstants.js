@@ -0,0 +1,123 @@
+// Store the departure instant on existing tickets and booking snapshots.
+//
+//   npm run migrate:departures                  -> fill in what is missing
+//   npm run migrate:departures -- --dry-run     -> only report
+//   npm run migrate:departures -- --recompute   -> rebuild every instant
+//        (after changing APP_TIMEZONE or fixing a ticket's timezone)
+//
+// Ticket times stored without a leading zero ("8:30") are rewritten as HH:mm.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Ticket = require('../models/Ticket');
+const Booking = require('../models/Booking');
+const { DEFAULT_TIMEZONE } = require('../config/time');
+const { buildDepartureAt, normalizeDepartureTime } = require('../utils/departureTime');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const recompute = process.argv.includes('--recompute');
+
+const sameInstant = (a, b) => Boolean(a && b) && a.getTime() === b.getTime();
+
+const migrateTickets = async () => {
+  const tickets = await Ticket.find(
+    recompute ? {} : { $or: [{ departureAt: null }, { departureTime: { $not: /^\d{2}:/ } }] }
+  )
+    .select('departureDate departureTime timeZone departureAt')
+    .lean();
+  const zones = new Map();
+  let updated = 0;
+
+  for (const ticket of tickets) {
+    const timeZone = ticket.timeZone || DEFAULT_TIMEZONE;
+    const departureTime = normalizeDepartureTime(ticket.departureTime) || ticket.departureTime;
+    const departureAt = buildDepartureAt(ticket.departureDate, departureTime, timeZone);
+    zones.set(ticket._id.toString(), timeZone);
+
+    if (
+      sameInstant(departureAt, ticket.departureAt) &&
+      ticket.timeZone &&
+      departureTime === ticket.departureTime
+    ) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await Ticket.updateOne(
+        { _id: ticket._id },
+        { $set: { timeZone, departureTime, departureAt } }
+      );
+    }
+    updated += 1;
+  }
+
+  console.log(`✅ Tickets: ${updated} of ${tickets.length} updated${dryRun ? ' (dry run)' : ''}`);
+  return zones;
+};
+
+const migrateBookings = async (knownZones) => {
+  const bookings = await Booking.find(
+    recompute ? {} : { 'ticketSnapshot.departureAt': null }
+  )
+    .select('ticket ticketSnapshot')
+    .lean();
+
+  // Snapshots taken before this change take the zone of their ticket
+  const missing = bookings
+    .map((booking) => booking.ticket && booking.ticket.toString())
+    .filter((id) => id && !knownZones.has(id));
+  const tickets = await Ticket.find({ _id: { $in: missing } }).select('timeZone').lean();
+  tickets.forEach((ticket) => knownZones.set(ticket._id.toString(), ticket.timeZone));
+
+  let updated = 0;
+  let skipped = 0;
+
+  for (const booking of bookings) {
+    const snapshot = booking.ticketSnapshot || {};
+    const timeZone =
+      snapshot.timeZone ||
+      (booking.ticket && knownZones.get(booking.ticket.toString())) ||
+      DEFAULT_TIMEZONE;
+    const departureAt = buildDepartureAt(snapshot.departureDate, snapshot.departureTime, timeZone);
+
+    if (!departureAt) {
+      skipped += 1;
+      continue;
+    }
+    if (sameInstant(departureAt, snapshot.departureAt) && snapshot.timeZone) continue;
+
+    if (!dryRun) {
+      await Booking.updateOne(
+        { _id: booking._id },
+        {
+          $set: {
+            'ticketSnapshot.timeZone': timeZone,
+            'ticketSnapshot.departureAt': departureAt,
+          },
+        }
+      );
+    }
+    updated += 1;
+  }
+
+  console.log(`✅ Bookings: ${updated} of ${bookings.length} updated${dryRun ? ' (dry run)' : ''}`);
+  if (skipped > 0) {
+    console.log(`   ⚠️  ${skipped} booking(s) have no departure date/time in their snapshot`);
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  const zones = await migrateTickets();
+  await migrateBookings(zones);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`❌ Departure migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+// Set the sold count of existing tickets from their paid bookings. Tickets
+// sold before sold counts were kept have 0; run this once after upgrading,
+// before npm run payments:check. Ticket quantities are left as they are -
+// those sales were already taken off.
+//
+//   npm run migrate:sold                  -> set the sold counts
+//   npm run migrate:sold -- --dry-run     -> only report
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Ticket = require('../models/Ticket');
+const Booking = require('../models/Booking');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const sold = await Booking.aggregate([
+    { $match: { paidAt: { $ne: null } } },
+    { $group: { _id: '$ticket', quantity: { $sum: '$bookingQuantity' } } },
+  ]);
+  const expected = new Map(sold.map((item) => [item._id.toString(), item.quantity]));
+
+  const tickets = await Ticket.find({
+    $or: [{ _id: { $in: sold.map((item) => item._id) } }, { soldQuantity: { $gt: 0 } }],
+  })
+    .select('soldQuantity')
+    .lean();
+  let updated = 0;
+
+  for (const ticket of tickets) {
+    const soldQuantity = expected.get(ticket._id.toString()) || 0;
+    if (soldQuantity === (ticket.soldQuantity || 0)) continue;
+
+    if (!dryRun) {
+      // Guarded on the value read, so a sale made meanwhile isn't lost
+      const result = await Ticket.updateOne(
+        { _id: ticket._id, soldQuantity: ticket.soldQuantity ?? null },
+        { $set: { soldQuantity } }
+      );
+      if (result.modifiedCount === 0) {
+        console.log(`   ⚠️  ticket ${ticket._id} was sold meanwhile - run again`);
+        continue;
+      }
+    }
+    updated += 1;
+  }
+
+  console.log(`✅ Tickets: ${updated} of ${tickets.length} updated${dryRun ? ' (dry run)' : ''}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`❌ Sold count migration failed: ${error.message}`);
+  process.exit(1);
+});
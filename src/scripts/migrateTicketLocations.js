@@ -0,0 +1,99 @@
+// Link existing tickets and schedules to the location catalog.
+//
+//   npm run migrate:locations                  -> link what can be resolved
+//   npm run migrate:locations -- --dry-run     -> only report
+//   npm run migrate:locations -- --create-missing
+//        -> add unknown place names to the catalog first (review them after!)
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const Location = require('../models/Location');
+const { resolveRoute, resolveLocation } = require('../utils/locationResolver');
+const { splitTerminal } = require('../utils/locationNames');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const createMissing = process.argv.includes('--create-missing');
+
+// Create catalog entries for place names nobody has added yet
+const createMissingLocations = async (Model) => {
+  const names = [
+    ...(await Model.distinct('fromLocation', { fromLocationRef: null })),
+    ...(await Model.distinct('toLocation', { toLocationRef: null })),
+  ];
+  let created = 0;
+
+  for (const name of names) {
+    if (await resolveLocation(name)) continue;
+
+    const { place, terminal } = splitTerminal(name);
+    if (await resolveLocation(place)) continue;
+
+    console.log(`➕ Creating location "${place}"${terminal ? ` with terminal "${terminal}"` : ''}`);
+    if (!dryRun) {
+      await Location.create({
+        name: place,
+        terminals: terminal ? [{ name: terminal }] : [],
+      });
+    }
+    created += 1;
+  }
+
+  return created;
+};
+
+const migrateModel = async (Model, label) => {
+  const documents = await Model.find({
+    $or: [{ fromLocationRef: null }, { toLocationRef: null }],
+  });
+  const unresolved = new Map();
+  let linked = 0;
+
+  for (const document of documents) {
+    // Transport type is not checked here - the data already exists
+    const { fields, error } = await resolveRoute(
+      document.fromLocation,
+      document.toLocation
+    );
+
+    if (error) {
+      const key = `${document.fromLocation} → ${document.toLocation}`;
+      unresolved.set(key, (unresolved.get(key) || 0) + 1);
+      continue;
+    }
+
+    if (!dryRun) {
+      await Model.updateOne({ _id: document._id }, { $set: fields });
+    }
+    linked += 1;
+  }
+
+  console.log(`✅ ${label}: ${linked} of ${documents.length} linked${dryRun ? ' (dry run)' : ''}`);
+  unresolved.forEach((count, route) =>
+    console.log(`   ⚠️  Unresolved: ${route} (${count})`)
+  );
+};
+
+const run = async () => {
+  await connectDB();
+
+  if (createMissing) {
+    const created =
+      (await createMissingLocations(Ticket)) +
+      (await createMissingLocations(Schedule));
+    console.log(`✅ ${created} location(s) added to the catalog${dryRun ? ' (dry run)' : ''}`);
+  }
+
+  await migrateModel(Ticket, 'Tickets');
+  await migrateModel(Schedule, 'Schedules');
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`❌ Location migration failed: ${error.message}`);
+  process.exit(1);
+});
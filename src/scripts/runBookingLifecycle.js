@@ -0,0 +1,44 @@
+// Expire bookings, inventory holds and waitlist offers nobody acted on in
+// time and complete finished trips.
+//
+//   npm run bookings:lifecycle   -> run once (from a cron job every few minutes)
+//   npm run bookings:worker      -> keep running as a separate worker
+//        (start the API with BOOKING_SCHEDULER=off so it runs only once)
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { runBookingLifecycle } = require('../utils/bookingLifecycle');
+const { startBookingScheduler, stopBookingScheduler } = require('../utils/bookingScheduler');
+
+dotenv.config();
+
+const watch = process.argv.includes('--watch');
+
+const runOnce = async () => {
+  await connectDB();
+
+  const result = await runBookingLifecycle();
+  console.log(
+    `✅ Deadlines set: ${result.deadlinesSet}, bookings expired (no response): ${result.expiredPending}, expired (unpaid): ${result.expiredUnpaid}, completed: ${result.completed}, tickets with expired holds: ${result.releasedHolds}, waitlist offers expired: ${result.expiredOffers}`
+  );
+
+  await mongoose.disconnect();
+};
+
+const runWorker = async () => {
+  await connectDB();
+  startBookingScheduler();
+
+  const shutdown = async () => {
+    stopBookingScheduler();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+(watch ? runWorker() : runOnce()).catch((error) => {
+  console.error(`❌ Booking lifecycle failed: ${error.message}`);
+  process.exit(1);
+});
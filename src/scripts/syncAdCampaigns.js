@@ -0,0 +1,24 @@
+// Start, end and clean up advertisement campaigns.
+// Run from a cron job every few minutes: npm run ads:sync
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { syncAdCampaigns } = require('../utils/adCampaigns');
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const result = await syncAdCampaigns();
+  console.log(
+    `✅ Campaigns started: ${result.started}, ended: ${result.ended}, cancelled: ${result.cancelled}`
+  );
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`❌ Ad campaign sync failed: ${error.message}`);
+  process.exit(1);
+});
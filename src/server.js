@@ -26,6 +26,12 @@ app.use(
   })
 );
 
+// Serve uploaded images when they are stored on local disk
+const { STORAGE_DRIVER, UPLOAD_DIR } = require('./config/uploads');
+if (STORAGE_DRIVER === 'local') {
+  app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '7d' }));
+}
+
 // Basic route for testing
 app.get('/', (req, res) => {
   res.json({
@@ -50,6 +56,14 @@ const ticketRoutes = require('./routes/ticketRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const userRoutes = require('./routes/userRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const assetRoutes = require('./routes/assetRoutes');
+const importRoutes = require('./routes/importRoutes');
+const adRoutes = require('./routes/adRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const boardingRoutes = require('./routes/boardingRoutes');
 
 
 // Using routes
@@ -58,6 +72,14 @@ app.use('/api/tickets', ticketRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/ads', adRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/boarding', boardingRoutes);
 
 
 // Error handling middleware (404)
@@ -77,10 +99,22 @@ app.use((err, req, res, next) => {
   });
 });
 
+// E-tickets can't be signed or checked without the key - stop here rather
+// than fail after a payment has gone through
+const { getETicketPublicKey } = require('./utils/etickets');
+getETicketPublicKey();
+
 // Start server
+const { RUN_BOOKING_SCHEDULER } = require('./config/bookings');
+const { startBookingScheduler } = require('./utils/bookingScheduler');
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
+
+  // Expire stale bookings and complete finished trips in the background
+  if (RUN_BOOKING_SCHEDULER) {
+    startBookingScheduler();
+  }
 });
 
 // Handle unhandled promise rejections
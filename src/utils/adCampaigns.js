@@ -0,0 +1,210 @@
+const AdCampaign = require('../models/AdCampaign');
+const Ticket = require('../models/Ticket');
+const { AD_SLOT_COUNT, AD_DAILY_FEE } = require('../config/ads');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campaigns that still hold (or may hold) a slot
+const OPEN_STATUSES = ['requested', 'scheduled', 'active'];
+// Approved campaigns - shown while inside their time window
+const LIVE_STATUSES = ['scheduled', 'active'];
+
+// Default fee for a time window (every started day counts)
+const calculatePlacementFee = (startsAt, endsAt) =>
+  Math.ceil((endsAt - startsAt) / DAY_MS) * AD_DAILY_FEE;
+
+// Approved campaigns in `slot` overlapping the window
+const findOverlapping = (slot, startsAt, endsAt, excludeId = null) =>
+  AdCampaign.find({
+    _id: { $ne: excludeId },
+    slot,
+    status: { $in: LIVE_STATUSES },
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt },
+  });
+
+// First slot with nothing else booked in the window (null when all are taken)
+const findFreeSlot = async (startsAt, endsAt, excludeId = null) => {
+  for (let slot = 1; slot <= AD_SLOT_COUNT; slot += 1) {
+    const overlapping = await findOverlapping(slot, startsAt, endsAt, excludeId);
+    if (overlapping.length === 0) {
+      return slot;
+    }
+  }
+  return null;
+};
+
+// Campaigns on air right now, one per slot, in slot order.
+// Within a slot the highest priority wins, then the earliest start.
+const getLiveCampaigns = async (now = new Date()) => {
+  const campaigns = await AdCampaign.find({
+    status: { $in: LIVE_STATUSES },
+    slot: { $ne: null },
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  })
+    .sort({ slot: 1, priority: -1, startsAt: 1 })
+    .populate({
+      path: 'ticket',
+      populate: { path: 'vendor', select: 'name email' },
+    });
+
+  const bySlot = new Map();
+  const shownTickets = new Set();
+
+  campaigns.forEach((campaign) => {
+    const { ticket } = campaign;
+    if (!ticket || ticket.verificationStatus !== 'approved' || ticket.isCancelled) return;
+    if (bySlot.has(campaign.slot) || shownTickets.has(ticket._id.toString())) return;
+
+    bySlot.set(campaign.slot, campaign);
+    shownTickets.add(ticket._id.toString());
+  });
+
+  return [...bySlot.values()];
+};
+
+// Keep Ticket.isAdvertised in step with its campaigns
+const refreshTicketAdFlags = async (ticketIds) => {
+  if (ticketIds.length === 0) {
+    return;
+  }
+
+  const advertised = await AdCampaign.distinct('ticket', {
+    ticket: { $in: ticketIds },
+    status: 'active',
+  });
+  const advertisedIds = new Set(advertised.map((id) => id.toString()));
+
+  await Ticket.updateMany({ _id: { $in: advertised } }, { isAdvertised: true });
+  await Ticket.updateMany(
+    { _id: { $in: ticketIds.filter((id) => !advertisedIds.has(id.toString())) } },
+    { isAdvertised: false }
+  );
+};
+
+// Put a campaign on air and charge its placement fee
+const activateCampaign = (campaign, now = new Date()) => {
+  campaign.status = 'active';
+  if (campaign.placementFee > 0 && campaign.feeStatus !== 'charged') {
+    campaign.feeStatus = 'charged';
+    campaign.chargedAt = now;
+  }
+};
+
+// Admin decision on slot, priority and fee; puts the campaign on the
+// schedule (or on air when it has already started). Returns an error
+// message, or null with the campaign updated (not saved).
+const scheduleCampaign = async (campaign, body, admin, now = new Date()) => {
+  const { slot, priority, placementFee } = body;
+
+  if (slot !== undefined && slot !== null) {
+    campaign.slot = slot;
+  } else if (!campaign.slot) {
+    const freeSlot = await findFreeSlot(campaign.startsAt, campaign.endsAt, campaign._id);
+    if (!freeSlot) {
+      return 'All ad slots are booked for this period. Pick a slot and priority explicitly.';
+    }
+    campaign.slot = freeSlot;
+  }
+
+  if (priority !== undefined) campaign.priority = priority;
+  if (placementFee !== undefined) campaign.placementFee = placementFee;
+  campaign.feeStatus = campaign.placementFee > 0 ? 'pending' : 'none';
+
+  campaign.status = 'scheduled';
+  campaign.reviewedBy = admin._id;
+  campaign.reviewedAt = now;
+
+  if (campaign.startsAt <= now) {
+    activateCampaign(campaign, now);
+  }
+
+  return null;
+};
+
+// Stop every open campaign matching `filter` (ticket rejected or deleted,
+// vendor blocked). Fees already charged are kept.
+const cancelCampaigns = (filter, note) =>
+  AdCampaign.updateMany(
+    { ...filter, status: { $in: OPEN_STATUSES } },
+    [
+      {
+        $set: {
+          status: 'cancelled',
+          note,
+          feeStatus: {
+            $cond: [{ $eq: ['$feeStatus', 'pending'] }, 'none', '$feeStatus'],
+          },
+        },
+      },
+    ],
+    { updatePipeline: true }
+  );
+
+// Start and end campaigns whose time has come, and drop campaigns whose
+// ticket is gone or no longer approved. Run from a cron job
+// (npm run ads:sync); approving a campaign also starts it right away.
+const syncAdCampaigns = async (now = new Date()) => {
+  const touched = new Set();
+  const result = { started: 0, ended: 0, cancelled: 0 };
+
+  const open = await AdCampaign.find({ status: { $in: OPEN_STATUSES } });
+  const approvedTickets = await Ticket.find({
+    _id: { $in: open.map((campaign) => campaign.ticket) },
+    verificationStatus: 'approved',
+    isCancelled: { $ne: true },
+  }).select('_id');
+  const approvedIds = new Set(approvedTickets.map((ticket) => ticket._id.toString()));
+
+  for (const campaign of open) {
+    const ticketId = campaign.ticket.toString();
+    let changed = false;
+
+    if (!approvedIds.has(ticketId)) {
+      campaign.status = 'cancelled';
+      campaign.note = campaign.note || 'Ticket is no longer available';
+      result.cancelled += 1;
+      changed = true;
+    } else if (campaign.status !== 'requested' && campaign.endsAt <= now) {
+      // Was shown even if no sync ran while it was on air
+      if (campaign.status === 'scheduled') activateCampaign(campaign, now);
+      campaign.status = 'ended';
+      result.ended += 1;
+      changed = true;
+    } else if (campaign.status === 'scheduled' && campaign.startsAt <= now) {
+      activateCampaign(campaign, now);
+      result.started += 1;
+      changed = true;
+    } else if (campaign.status === 'requested' && campaign.endsAt <= now) {
+      // Never reviewed in time
+      campaign.status = 'cancelled';
+      campaign.note = campaign.note || 'Request expired before review';
+      result.cancelled += 1;
+      changed = true;
+    }
+
+    if (changed) {
+      await campaign.save();
+      touched.add(ticketId);
+    }
+  }
+
+  await refreshTicketAdFlags([...touched]);
+
+  return result;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  LIVE_STATUSES,
+  calculatePlacementFee,
+  findOverlapping,
+  findFreeSlot,
+  getLiveCampaigns,
+  refreshTicketAdFlags,
+  activateCampaign,
+  scheduleCampaign,
+  cancelCampaigns,
+  syncAdCampaigns,
+};
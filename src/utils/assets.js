@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const { getStorage } = require('./storage');
+const { processImage } = require('./imageProcessing');
+const { PRIMARY_VARIANT } = require('../config/uploads');
+
+// Process an uploaded file (from multer) and store all its variants.
+// Returns { asset } or { error }.
+const storeImage = async (file, owner, purpose) => {
+  const { variants, metadata, error } = await processImage(file.buffer);
+
+  if (error) {
+    return { error };
+  }
+
+  const storage = getStorage();
+  const assetId = new mongoose.Types.ObjectId();
+  const saved = [];
+
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      const { key, url } = await storage.save(
+        `${purpose}/${assetId}/${name}.webp`,
+        variant.buffer,
+        'image/webp'
+      );
+      saved.push({
+        name,
+        key,
+        url,
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+      });
+    }
+
+    const asset = await Asset.create({
+      _id: assetId,
+      owner: owner._id,
+      purpose,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      width: metadata.width,
+      height: metadata.height,
+      storage: storage.name,
+      variants: saved,
+    });
+
+    return { asset };
+  } catch (storeError) {
+    // Don't leave orphaned files behind
+    await Promise.all(saved.map((variant) => storage.remove(variant.key)));
+    throw storeError;
+  }
+};
+
+// Delete the stored files of an asset
+const removeAssetFiles = async (asset) => {
+  const storage = getStorage();
+  await Promise.all(asset.variants.map((variant) => storage.remove(variant.key)));
+};
+
+// Look up an uploaded asset a user wants to attach to a ticket or profile.
+// `target` is the document it will be linked to (null for a new ticket).
+// Returns { asset, url } or { error }.
+const resolveAsset = async (assetId, user, purpose, target = null) => {
+  if (!mongoose.Types.ObjectId.isValid(assetId)) {
+    return { error: 'Invalid image asset ID' };
+  }
+
+  const asset = await Asset.findById(assetId);
+
+  if (!asset || asset.owner.toString() !== user._id.toString()) {
+    return { error: 'Image asset not found' };
+  }
+
+  if (asset.purpose !== purpose) {
+    return { error: `This image was uploaded for a ${asset.purpose}, not a ${purpose}` };
+  }
+
+  if (asset.linkedId && (!target || asset.linkedId.toString() !== target._id.toString())) {
+    return { error: 'This image is already used elsewhere. Please upload it again.' };
+  }
+
+  return { asset, url: asset.getVariantUrl(PRIMARY_VARIANT[purpose]) };
+};
+
+// Record which ticket/user an asset is attached to
+const linkAsset = async (asset, modelName, id) => {
+  asset.linkedModel = modelName;
+  asset.linkedId = id;
+  await asset.save();
+};
+
+module.exports = {
+  storeImage,
+  removeAssetFiles,
+  resolveAsset,
+  linkAsset,
+};
@@ -0,0 +1,229 @@
+const Booking = require('../models/Booking');
+const { PAID_STATUSES } = require('./bookingLifecycle');
+const { getDepartureAt } = require('./departureTime');
+const { verifyETicketToken } = require('./etickets');
+const {
+  BOARDING_OPENS_HOURS,
+  BOARDING_CLOSES_MINUTES,
+} = require('../config/bookings');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Scan rejected - `code` tells scanner apps why, `status` is the HTTP status
+const rejection = (status, code, message, booking = null) => ({
+  rejected: { status, code, message, booking },
+});
+
+// When boarding a departure opens and closes
+const boardingWindow = (ticket) => {
+  const departureAt = getDepartureAt(ticket);
+  if (!departureAt) {
+    return null;
+  }
+
+  return {
+    departureAt,
+    opensAt: new Date(departureAt.getTime() - BOARDING_OPENS_HOURS * HOUR_MS),
+    closesAt: new Date(departureAt.getTime() + BOARDING_CLOSES_MINUTES * MINUTE_MS),
+  };
+};
+
+// Booking of a scanned e-ticket (signed token) or typed-in reference.
+// The token must match the booking it names, so a copied signature can't
+// be put on another booking's data. Returns { booking } or { rejected }.
+const findScannedBooking = async ({ token, reference }) => {
+  let booking = null;
+
+  if (token) {
+    const { payload, error } = verifyETicketToken(token);
+    if (error) {
+      return rejection(400, 'INVALID_TICKET', error);
+    }
+
+    booking = await Booking.findById(payload.bid).populate('ticket');
+    if (
+      booking &&
+      (booking.reference !== payload.ref ||
+        (booking.ticket?._id || booking.ticket).toString() !== payload.tid)
+    ) {
+      return rejection(400, 'INVALID_TICKET', 'E-ticket does not match the booking');
+    }
+  } else if (reference) {
+    booking = await Booking.findOne({
+      reference: String(reference).trim().toUpperCase(),
+    }).populate('ticket');
+  } else {
+    return rejection(400, 'MISSING_TICKET', 'Please provide the scanned token or a booking reference');
+  }
+
+  if (!booking || !booking.ticket) {
+    return rejection(404, 'NOT_FOUND', 'Booking not found');
+  }
+
+  return { booking };
+};
+
+// Short booking details shown to the gate agent
+const boardingView = (booking) => ({
+  _id: booking._id,
+  reference: booking.reference,
+  ticketTitle: booking.ticketSnapshot.title,
+  bookingQuantity: booking.bookingQuantity,
+  seats: booking.seats,
+  status: booking.status,
+  paymentStatus: booking.paymentStatus,
+  boardedAt: booking.boardedAt,
+  passengers: booking.passengers.map((passenger, index) => ({
+    index,
+    name: passenger.name,
+    ageGroup: passenger.ageGroup,
+    seatId: passenger.seatId,
+    boardedAt: passenger.boardedAt,
+  })),
+});
+
+// Check a scanned booking and mark its passengers (all of them, or the
+// given passenger indexes) as boarded. `ticketId` is the departure the
+// vendor is boarding, when the scanner app sends it.
+// Returns { booking, boarded: [names] } or { rejected }.
+const boardBooking = async (booking, vendor, { ticketId, passengerIndexes } = {}, now = new Date()) => {
+  const ticket = booking.ticket;
+  const view = boardingView(booking);
+
+  if (ticket.vendor.toString() !== vendor._id.toString()) {
+    return rejection(403, 'WRONG_VENDOR', 'This e-ticket is for another operator');
+  }
+
+  if (ticketId && ticket._id.toString() !== String(ticketId)) {
+    return rejection(409, 'WRONG_DEPARTURE', 'This e-ticket is for another departure', view);
+  }
+
+  if (ticket.isCancelled) {
+    return rejection(409, 'TRIP_CANCELLED', 'This trip was cancelled', view);
+  }
+
+  if (!PAID_STATUSES.includes(booking.status) || booking.paymentStatus !== 'paid') {
+    return rejection(409, 'NOT_PAID', `Booking is not paid (${booking.status}, ${booking.paymentStatus})`, view);
+  }
+
+  const window = boardingWindow(ticket);
+  if (!window || now < window.opensAt) {
+    return rejection(409, 'TOO_EARLY', `Boarding opens ${BOARDING_OPENS_HOURS} hour(s) before departure`, view);
+  }
+  if (now > window.closesAt) {
+    return rejection(409, 'DEPARTED', 'Boarding for this departure has closed', view);
+  }
+
+  // Bookings without passenger details board all at once
+  if (booking.passengers.length === 0) {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, boardedAt: null },
+      { $set: { boardedAt: now } },
+      { new: true }
+    );
+    if (!updated) {
+      return rejection(409, 'ALREADY_BOARDED', 'This booking has already boarded', view);
+    }
+
+    updated.ticket = ticket;
+    return { booking: updated, boarded: [`${booking.bookingQuantity} passenger(s)`] };
+  }
+
+  const indexes =
+    Array.isArray(passengerIndexes) && passengerIndexes.length > 0
+      ? [...new Set(passengerIndexes.map(Number))]
+      : booking.passengers.map((passenger, index) => index);
+
+  if (indexes.some((index) => !Number.isInteger(index) || !booking.passengers[index])) {
+    return rejection(400, 'INVALID_PASSENGER', 'Unknown passenger on this booking', view);
+  }
+
+  const alreadyBoarded = indexes.filter((index) => booking.passengers[index].boardedAt);
+  if (alreadyBoarded.length > 0) {
+    const names = alreadyBoarded.map((index) => booking.passengers[index].name).join(', ');
+    return rejection(409, 'ALREADY_BOARDED', `Already boarded: ${names}`, view);
+  }
+
+  // Conditional on the same passengers still not boarded, so two gates
+  // scanning the same ticket can't both let them through
+  const filter = { _id: booking._id };
+  const set = {};
+  indexes.forEach((index) => {
+    filter[`passengers.${index}.boardedAt`] = null;
+    set[`passengers.${index}.boardedAt`] = now;
+    set[`passengers.${index}.boardedBy`] = vendor._id;
+  });
+  const allBoarded = booking.passengers.every(
+    (passenger, index) => passenger.boardedAt || indexes.includes(index)
+  );
+  if (allBoarded) {
+    set.boardedAt = now;
+  }
+
+  const updated = await Booking.findOneAndUpdate(filter, { $set: set }, { new: true });
+  if (!updated) {
+    return rejection(409, 'ALREADY_BOARDED', 'This ticket was just scanned at another gate', view);
+  }
+
+  updated.ticket = ticket;
+  return {
+    booking: updated,
+    boarded: indexes.map((index) => booking.passengers[index].name),
+  };
+};
+
+// Boarded / no-show / remaining passengers of a departure. Passengers not
+// boarded when boarding closes are no-shows.
+const getBoardingSummary = async (ticket, now = new Date()) => {
+  const bookings = await Booking.find({
+    ticket: ticket._id,
+    status: { $in: PAID_STATUSES },
+    paymentStatus: 'paid',
+  }).select('reference bookingQuantity passengers boardedAt ticketSnapshot.title user');
+
+  const window = boardingWindow(ticket);
+  const closed = Boolean(window && now > window.closesAt);
+
+  const totals = { passengers: 0, boarded: 0, noShow: 0, remaining: 0 };
+  const notBoarded = [];
+
+  bookings.forEach((booking) => {
+    const count = booking.passengers.length || booking.bookingQuantity;
+    const boarded =
+      booking.passengers.length > 0
+        ? booking.passengers.filter((passenger) => passenger.boardedAt).length
+        : booking.boardedAt
+          ? booking.bookingQuantity
+          : 0;
+
+    totals.passengers += count;
+    totals.boarded += boarded;
+    totals[closed ? 'noShow' : 'remaining'] += count - boarded;
+
+    if (boarded < count) {
+      notBoarded.push({
+        reference: booking.reference,
+        passengers:
+          booking.passengers.length > 0
+            ? booking.passengers.filter((passenger) => !passenger.boardedAt).map((passenger) => passenger.name)
+            : [`${booking.bookingQuantity} passenger(s)`],
+      });
+    }
+  });
+
+  return {
+    ticket: { _id: ticket._id, title: ticket.title },
+    boarding: window && { ...window, isClosed: closed },
+    totals,
+    notBoarded,
+  };
+};
+
+module.exports = {
+  boardingWindow,
+  findScannedBooking,
+  boardingView,
+  boardBooking,
+  getBoardingSummary,
+};
@@ -0,0 +1,207 @@
+const Booking = require('../models/Booking');
+const { releaseBookingResources } = require('./bookingRelease');
+const { releaseExpiredHolds } = require('./inventoryHolds');
+const { processWaitlist, expireWaitlistOffers } = require('./waitlist');
+const { getDepartureAt, hasDeparted } = require('./departureTime');
+const {
+  VENDOR_RESPONSE_HOURS,
+  PAYMENT_WINDOW_HOURS,
+} = require('../config/bookings');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Bookings that were paid for (the trip may already be over)
+const PAID_STATUSES = ['paid', 'completed'];
+
+// Status history entry. `actor` is the user who made the change,
+// null when the lifecycle scheduler made it.
+const statusEvent = (status, actor = null, reason = '', at = new Date()) => ({
+  status,
+  by: actor ? actor._id : null,
+  byRole: actor ? actor.role : 'system',
+  reason,
+  at,
+});
+
+// Change a booking's status and record who did it (not saved)
+const recordStatus = (booking, status, actor = null, reason = '') => {
+  booking.status = status;
+  booking.statusHistory.push(statusEvent(status, actor, reason));
+};
+
+// `hours` from now, but never later than the departure
+const deadlineFrom = (hours, snapshot, now) => {
+  const deadline = new Date(now.getTime() + hours * HOUR_MS);
+  const departureAt = getDepartureAt(snapshot);
+  return departureAt && departureAt < deadline ? departureAt : deadline;
+};
+
+const responseDeadlineFor = (snapshot, now = new Date()) =>
+  deadlineFrom(VENDOR_RESPONSE_HOURS, snapshot, now);
+
+const paymentDeadlineFor = (snapshot, now = new Date()) =>
+  deadlineFrom(PAYMENT_WINDOW_HOURS, snapshot, now);
+
+// Move one booking to expired and free what it was holding. The status
+// check makes it safe against a vendor or payment acting at the same time.
+const expireBooking = async (bookingId, fromStatus, reason, now) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: fromStatus, paymentStatus: { $ne: 'paid' } },
+    {
+      $set: { status: 'expired' },
+      $push: { statusHistory: statusEvent('expired', null, reason, now) },
+    },
+    { new: true }
+  );
+
+  if (!booking) {
+    return false;
+  }
+
+  await releaseBookingResources(booking);
+  return true;
+};
+
+// Expire every booking matching `filter`; the reason depends on whether
+// the trip has already left
+const expireMatching = async (filter, fromStatus, reasons, now) => {
+  const bookings = await Booking.find({ ...filter, status: fromStatus }).select(
+    '_id ticketSnapshot'
+  );
+  let expired = 0;
+
+  for (const booking of bookings) {
+    const reason = hasDeparted(booking.ticketSnapshot, now) ? reasons.departed : reasons.deadline;
+    if (await expireBooking(booking._id, fromStatus, reason, now)) {
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
+// Bookings made before deadlines were stored get the full window from the
+// first run after the upgrade, so nobody mid-flow is expired without notice
+const backfillDeadlines = async (now) => {
+  const missing = [
+    { status: 'pending', field: 'responseDeadline', deadlineFor: responseDeadlineFor },
+    { status: 'accepted', field: 'paymentDeadline', deadlineFor: paymentDeadlineFor },
+  ];
+  let updated = 0;
+
+  for (const { status, field, deadlineFor } of missing) {
+    const bookings = await Booking.find({ status, [field]: null }).select('_id ticketSnapshot');
+
+    for (const booking of bookings) {
+      const result = await Booking.updateOne(
+        { _id: booking._id, status, [field]: null },
+        { $set: { [field]: deadlineFor(booking.ticketSnapshot, now) } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  return updated;
+};
+
+// Paid bookings whose trip is over (departure + duration)
+const completeFinishedTrips = async (now) => {
+  const bookings = await Booking.find({
+    status: 'paid',
+    $or: [
+      { 'ticketSnapshot.departureAt': { $lte: now } },
+      // Snapshots taken before departure instants were stored
+      { 'ticketSnapshot.departureAt': null, 'ticketSnapshot.departureDate': { $lte: now } },
+    ],
+  }).select('_id ticketSnapshot');
+
+  const finishedIds = bookings
+    .filter((booking) => {
+      const departureAt = getDepartureAt(booking.ticketSnapshot);
+      const duration = (booking.ticketSnapshot.durationMinutes || 0) * MINUTE_MS;
+      return departureAt && departureAt.getTime() + duration <= now.getTime();
+    })
+    .map((booking) => booking._id);
+
+  if (finishedIds.length === 0) {
+    return 0;
+  }
+
+  const result = await Booking.updateMany(
+    { _id: { $in: finishedIds }, status: 'paid' },
+    {
+      $set: { status: 'completed', completedAt: now },
+      $push: { statusHistory: statusEvent('completed', null, 'Trip completed', now) },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+// Expire bookings, inventory holds and waitlist offers nobody acted on in
+// time and complete finished trips.
+// Run by the scheduler (with the server or npm run bookings:worker) or
+// from a cron job (npm run bookings:lifecycle).
+const runBookingLifecycle = async (now = new Date()) => {
+  const deadlinesSet = await backfillDeadlines(now);
+
+  const expiredPending = await expireMatching(
+    {
+      $or: [
+        { responseDeadline: { $lte: now } },
+        { 'ticketSnapshot.departureAt': { $lte: now } },
+      ],
+    },
+    'pending',
+    {
+      deadline: 'Vendor did not respond in time',
+      departed: 'Trip departed before the vendor responded',
+    },
+    now
+  );
+
+  const expiredUnpaid = await expireMatching(
+    {
+      paymentStatus: { $ne: 'paid' },
+      $or: [
+        { paymentDeadline: { $lte: now } },
+        { 'ticketSnapshot.departureAt': { $lte: now } },
+      ],
+    },
+    'accepted',
+    {
+      deadline: 'Payment deadline passed',
+      departed: 'Trip departed before payment',
+    },
+    now
+  );
+
+  const completed = await completeFinishedTrips(now);
+
+  // Holds can run out before their booking is expired above
+  const releasedHoldTickets = await releaseExpiredHolds(now);
+  for (const ticketId of releasedHoldTickets) {
+    await processWaitlist(ticketId, now);
+  }
+
+  const expiredOffers = await expireWaitlistOffers(now);
+
+  return {
+    deadlinesSet,
+    expiredPending,
+    expiredUnpaid,
+    completed,
+    releasedHolds: releasedHoldTickets.length,
+    expiredOffers,
+  };
+};
+
+module.exports = {
+  PAID_STATUSES,
+  statusEvent,
+  recordStatus,
+  responseDeadlineFor,
+  paymentDeadlineFor,
+  runBookingLifecycle,
+};
@@ -0,0 +1,19 @@
+const { releaseSeats } = require('./seatInventory');
+const { releaseCoupon } = require('./coupons');
+const { releaseHold } = require('./inventoryHolds');
+const { processWaitlist } = require('./waitlist');
+
+// Give back everything an unpaid booking was holding (seats, inventory
+// hold, coupon use) when it is rejected, cancelled or otherwise dropped,
+// and offer the freed seats to the waitlist.
+const releaseBookingResources = async (booking) => {
+  const ticketId = booking.ticket._id || booking.ticket;
+  const userId = booking.user._id || booking.user;
+
+  await releaseSeats(ticketId, booking.seats);
+  await releaseHold(ticketId, booking._id);
+  await releaseCoupon(booking.discount?.coupon, userId);
+  await processWaitlist(ticketId);
+};
+
+module.exports = { releaseBookingResources };
@@ -0,0 +1,47 @@
+const { runBookingLifecycle } = require('./bookingLifecycle');
+const { BOOKING_SCHEDULER_INTERVAL_MINUTES } = require('../config/bookings');
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // A slow run is not started twice
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const result = await runBookingLifecycle();
+    if (Object.values(result).some((count) => count > 0)) {
+      console.log(
+        `⏰ Deadlines set: ${result.deadlinesSet}, bookings expired (no response): ${result.expiredPending}, expired (unpaid): ${result.expiredUnpaid}, completed: ${result.completed}, tickets with expired holds: ${result.releasedHolds}, waitlist offers expired: ${result.expiredOffers}`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Booking scheduler error: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+// Run the booking lifecycle now and then every few minutes
+const startBookingScheduler = (intervalMinutes = BOOKING_SCHEDULER_INTERVAL_MINUTES) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  tick();
+  console.log(`⏰ Booking scheduler running every ${intervalMinutes} minute(s)`);
+};
+
+const stopBookingScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startBookingScheduler,
+  stopBookingScheduler,
+};
@@ -0,0 +1,159 @@
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const { normalizeLocation } = require('./journeyPlanner');
+
+// Discount amount for a subtotal (never more than the subtotal itself)
+const calculateDiscount = (coupon, subtotal) => {
+  let amount =
+    coupon.discountType === 'percent'
+      ? (subtotal * coupon.discountValue) / 100
+      : coupon.discountValue;
+
+  if (coupon.maxDiscountAmount != null) {
+    amount = Math.min(amount, coupon.maxDiscountAmount);
+  }
+
+  return Math.round(Math.min(amount, subtotal) * 100) / 100;
+};
+
+// Check whether a coupon can be used for this ticket and order.
+// Returns an error message, or null when the coupon applies.
+const checkCouponRules = (coupon, ticket, subtotal, now = new Date()) => {
+  if (!coupon.isActive) {
+    return 'This coupon is no longer active';
+  }
+  if (now < coupon.validFrom || now > coupon.validUntil) {
+    return 'This coupon is not valid at this time';
+  }
+  if (coupon.maxUses != null && coupon.usedCount >= coupon.maxUses) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (subtotal < coupon.minOrderAmount) {
+    return `This coupon requires a minimum order of ${coupon.minOrderAmount} BDT`;
+  }
+
+  const { routes, transportTypes, vendors } = coupon.restrictions;
+
+  if (transportTypes.length > 0 && !transportTypes.includes(ticket.transportType)) {
+    return `This coupon is only valid for ${transportTypes.join(', ')}`;
+  }
+
+  if (
+    vendors.length > 0 &&
+    !vendors.some((vendor) => vendor.toString() === ticket.vendor.toString())
+  ) {
+    return 'This coupon is not valid for this operator';
+  }
+
+  if (routes.length > 0) {
+    const from = normalizeLocation(ticket.fromLocation);
+    const to = normalizeLocation(ticket.toLocation);
+    const matchesRoute = routes.some(
+      (route) =>
+        (!route.fromLocation || normalizeLocation(route.fromLocation) === from) &&
+        (!route.toLocation || normalizeLocation(route.toLocation) === to)
+    );
+
+    if (!matchesRoute) {
+      return 'This coupon is not valid for this route';
+    }
+  }
+
+  return null;
+};
+
+// Look up a code and check it against the ticket/order.
+// Returns { coupon, discountAmount } or { error }.
+const validateCoupon = async (code, ticket, subtotal) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const error = checkCouponRules(coupon, ticket, subtotal);
+  if (error) {
+    return { error };
+  }
+
+  return { coupon, discountAmount: calculateDiscount(coupon, subtotal) };
+};
+
+// Claim one use of the coupon for a user.
+// Both counters are changed with conditional atomic updates so concurrent
+// redemptions can never exceed the limits. Returns an error message or null.
+const redeemCoupon = async (coupon, userId) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return 'This coupon has reached its usage limit';
+  }
+
+  try {
+    // Upsert only matches while the user is under the limit; when the
+    // limit is reached the insert hits the unique index instead
+    await CouponUsage.findOneAndUpdate(
+      {
+        coupon: coupon._id,
+        user: userId,
+        count: { $lt: coupon.maxUsesPerUser },
+      },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+
+    if (error.code === 11000) {
+      return 'You have already used this coupon';
+    }
+    throw error;
+  }
+
+  return null;
+};
+
+// Give a use back (booking rejected or cancelled before payment)
+const releaseCoupon = async (couponId, userId) => {
+  if (!couponId) {
+    return;
+  }
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  await CouponUsage.updateOne(
+    { coupon: couponId, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+// Discount breakdown stored on the booking
+const buildDiscount = (coupon, amount) => ({
+  coupon: coupon._id,
+  code: coupon.code,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  amount,
+});
+
+module.exports = {
+  calculateDiscount,
+  checkCouponRules,
+  validateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  buildDiscount,
+};
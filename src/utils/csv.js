@@ -0,0 +1,63 @@
+const { once } = require('events');
+
+// Quote a value for CSV when it contains a separator, quote or line break.
+// Text starting with = + - @ is prefixed with ' so spreadsheet apps do not
+// run it as a formula (user-entered names and titles end up here).
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (columns, row) =>
+  columns.map((column) => escapeCsvValue(row[column.key])).join(',') + '\r\n';
+
+const headerLine = (columns) =>
+  columns.map((column) => escapeCsvValue(column.header)).join(',') + '\r\n';
+
+// Build a small CSV document in memory. `columns` is a list of
+// { key, header } and every row is a plain object keyed by column key.
+const toCsv = (columns, rows) =>
+  headerLine(columns) + rows.map((row) => csvLine(columns, row)).join('');
+
+// Stream a Mongoose query cursor to the response as a CSV download, one
+// row at a time, waiting for the client whenever the socket buffer is full.
+// `toRow` turns a document into a plain object keyed by column key.
+const streamCsv = async (res, fileName, columns, cursor, toRow) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.status(200);
+
+  try {
+    res.write(headerLine(columns));
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break; // Client went away
+
+      if (!res.write(csvLine(columns, toRow(doc)))) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the only option is to cut the download
+    console.error(`CSV export error (${fileName}):`, error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  streamCsv,
+};
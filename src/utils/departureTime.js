@@ -0,0 +1,148 @@
+const { DEFAULT_TIMEZONE } = require('../config/time');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+
+// Cached formatter that prints wall-clock parts in a timezone
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock { year, month, day, hour, minute, second } of an instant
+const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+  return parts;
+};
+
+// Minutes the timezone is ahead of UTC at an instant (+360 for Dhaka)
+const getUtcOffsetMinutes = (instant, timeZone) => {
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+// "H:mm" / "HH:mm" input as zero-padded "HH:mm" (so stored times sort and
+// compare as text), or null when it is not a valid time
+const normalizeDepartureTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value ?? '').trim());
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+};
+
+// Departure instant for a calendar date and "HH:mm" wall-clock time in a
+// timezone. Dates are calendar days stored as midnight UTC, so the UTC
+// day of `departureDate` is used. Returns null for missing/invalid input
+// (including an unknown timezone).
+const buildDepartureAt = (departureDate, departureTime, timeZone = DEFAULT_TIMEZONE) => {
+  if (!departureDate || !departureTime) {
+    return null;
+  }
+
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  const date = new Date(departureDate);
+  const match = TIME_PATTERN.exec(String(departureTime).trim());
+  if (isNaN(date.getTime()) || !match || !isValidTimeZone(zone)) {
+    return null;
+  }
+
+  const wallClock = Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate(),
+    Number(match[1]),
+    Number(match[2])
+  );
+
+  // Shift by the offset, then check it again at the result in case a
+  // daylight-saving change falls in between
+  let instant = wallClock - getUtcOffsetMinutes(new Date(wallClock), zone) * 60000;
+  instant = wallClock - getUtcOffsetMinutes(new Date(instant), zone) * 60000;
+
+  return new Date(instant);
+};
+
+// Departure instant of a ticket or booking snapshot (stored value first,
+// rebuilt from date + time for documents that were never migrated)
+const getDepartureAt = (source) => {
+  if (!source) {
+    return null;
+  }
+  if (source.departureAt) {
+    return source.departureAt;
+  }
+  return buildDepartureAt(source.departureDate, source.departureTime, source.timeZone);
+};
+
+// Shared expiry check for tickets and bookings
+const hasDeparted = (source, now = new Date()) => {
+  const departureAt = getDepartureAt(source);
+  return Boolean(departureAt) && departureAt <= now;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Both formats for API responses:
+// { iso: '2025-01-15T02:30:00.000Z', local: '2025-01-15 08:30',
+//   timeZone: 'Asia/Dhaka', utcOffset: '+06:00' }
+const formatDeparture = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  if (!instant) {
+    return null;
+  }
+
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  const parts = getZonedParts(instant, zone);
+  const offset = getUtcOffsetMinutes(instant, zone);
+  const sign = offset < 0 ? '-' : '+';
+
+  return {
+    iso: instant.toISOString(),
+    local: `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`,
+    timeZone: zone,
+    utcOffset: `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`,
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  normalizeDepartureTime,
+  buildDepartureAt,
+  getDepartureAt,
+  hasDeparted,
+  formatDeparture,
+};
@@ -0,0 +1,4 @@
+// Escape user input before using it inside a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Booking = require('../models/Booking');
+const { getDepartureAt, formatDeparture } = require('./departureTime');
+const { ETICKET_PRIVATE_KEY } = require('../config/etickets');
+
+// No 0/O, 1/I/L - references are read out and typed in at the counter
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const REFERENCE_LENGTH = 8;
+
+// Tokens start with this so the format can change later
+const TOKEN_PREFIX = 'TB1';
+
+const randomReference = () =>
+  Array.from(
+    crypto.randomBytes(REFERENCE_LENGTH),
+    (byte) => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]
+  ).join('');
+
+// New unused booking reference like "TB-7K3M9QXW"
+const generateBookingReference = async (session = null) => {
+  for (;;) {
+    const reference = `TB-${randomReference()}`;
+    if (!(await Booking.exists({ reference }).session(session))) {
+      return reference;
+    }
+  }
+};
+
+// Bookings paid before references existed get one when first needed
+const ensureBookingReference = async (booking) => {
+  if (booking.reference) {
+    return booking.reference;
+  }
+
+  const reference = await generateBookingReference();
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, reference: { $exists: false } },
+    { $set: { reference } },
+    { new: true }
+  );
+
+  // Another request gave it one meanwhile
+  booking.reference = updated
+    ? updated.reference
+    : (await Booking.findById(booking._id).select('reference')).reference;
+  return booking.reference;
+};
+
+let signingKey = null;
+
+// Temporary keys are only allowed here - their tickets stop verifying after
+// a restart and on other instances
+const TEMPORARY_KEY_ENVIRONMENTS = ['development', 'test'];
+
+// Ed25519 key pair from ETICKET_PRIVATE_KEY. Without it a temporary pair is
+// made in development and test; anywhere else it is an error.
+const getSigningKey = () => {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  if (ETICKET_PRIVATE_KEY) {
+    const privateKey = crypto.createPrivateKey(ETICKET_PRIVATE_KEY);
+    signingKey = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } else if (TEMPORARY_KEY_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+    console.warn('⚠️  ETICKET_PRIVATE_KEY is not set - e-tickets are signed with a temporary key');
+    signingKey = crypto.generateKeyPairSync('ed25519');
+  } else {
+    throw new Error('ETICKET_PRIVATE_KEY is not set - create one with `npm run etickets:keygen`');
+  }
+
+  return signingKey;
+};
+
+// Public key (PEM) scanners need to check e-tickets offline
+const getETicketPublicKey = () =>
+  getSigningKey().publicKey.export({ type: 'spki', format: 'pem' });
+
+// Signed token held in the e-ticket's QR code:
+// TB1.<base64url JSON payload>.<base64url Ed25519 signature>
+const signETicketToken = (booking) => {
+  const departureAt = getDepartureAt(booking.ticketSnapshot);
+  const payload = {
+    ref: booking.reference,
+    bid: booking._id.toString(),
+    tid: (booking.ticket?._id || booking.ticket).toString(),
+    dep: departureAt ? departureAt.toISOString() : null,
+    qty: booking.bookingQuantity,
+    iat: Math.floor(Date.now() / 1000),
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(`${TOKEN_PREFIX}.${body}`), getSigningKey().privateKey);
+
+  return `${TOKEN_PREFIX}.${body}.${signature.toString('base64url')}`;
+};
+
+// Check an e-ticket token's signature. Returns { payload } or { error }.
+const verifyETicketToken = (token) => {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { error: 'Not a TicketBari e-ticket' };
+  }
+
+  const [prefix, body, signature] = parts;
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${prefix}.${body}`),
+    getSigningKey().publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) {
+    return { error: 'E-ticket signature is invalid (forged or altered ticket)' };
+  }
+
+  try {
+    return { payload: JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) };
+  } catch (error) {
+    return { error: 'E-ticket data is unreadable' };
+  }
+};
+
+// Print the e-ticket (trip, passengers, QR code) as a PDF into the response
+const sendETicketPdf = async (res, booking, token) => {
+  const snapshot = booking.ticketSnapshot;
+  const departure = formatDeparture(getDepartureAt(snapshot), snapshot.timeZone);
+  // Shown in the trip's timezone like the departure
+  const paidAt = formatDeparture(booking.paidAt, snapshot.timeZone);
+  const qrCode = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+
+  const doc = new PDFDocument({ size: 'A5', margin: 36 });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="eticket-${booking.reference}.pdf"`);
+  res.status(200);
+  doc.pipe(res);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('TicketBari e-ticket');
+  doc.font('Helvetica').fontSize(11).text(`Booking reference: ${booking.reference}`).moveDown();
+
+  const tripLines = [
+    `${snapshot.fromLocation} - ${snapshot.toLocation} (${snapshot.transportType})`,
+    departure ? `Departure: ${departure.local} (${departure.timeZone})` : 'Departure: -',
+    snapshot.fareClass?.code && `Fare class: ${snapshot.fareClass.name}`,
+    `Tickets: ${booking.bookingQuantity}`,
+    booking.seats.length > 0 && `Seats: ${booking.seats.join(', ')}`,
+    `Paid: ${booking.totalPrice} BDT on ${paidAt ? `${paidAt.local} (${paidAt.timeZone})` : '-'}`,
+  ].filter(Boolean);
+
+  doc.font('Helvetica-Bold').fontSize(13).text(snapshot.title);
+  doc.font('Helvetica').fontSize(10);
+  tripLines.forEach((line) => doc.text(line));
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Passengers');
+  doc.font('Helvetica').fontSize(10);
+  if (booking.passengers.length > 0) {
+    booking.passengers.forEach((passenger, index) =>
+      doc.text(
+        `${index + 1}. ${passenger.name} (${passenger.ageGroup})${passenger.seatId ? ` - seat ${passenger.seatId}` : ''}`
+      )
+    );
+  } else {
+    const holder = booking.user?.name || 'Account holder';
+    doc.text(booking.bookingQuantity > 1 ? `${holder} + ${booking.bookingQuantity - 1} more` : holder);
+  }
+  doc.moveDown();
+
+  doc.image(qrCode, { fit: [160, 160], align: 'center' });
+  doc
+    .moveDown(0.5)
+    .fontSize(8)
+    .text('Show this QR code at boarding. The code is signed - altered tickets are rejected.', {
+      align: 'center',
+    });
+
+  doc.end();
+};
+
+module.exports = {
+  generateBookingReference,
+  ensureBookingReference,
+  getETicketPublicKey,
+  signETicketToken,
+  verifyETicketToken,
+  sendETicketPdf,
+};
@@ -0,0 +1,44 @@
+const sharp = require('sharp');
+const { ALLOWED_IMAGE_TYPES, IMAGE_VARIANTS } = require('../config/uploads');
+
+// Decode an uploaded image and build every variant as WebP.
+// Re-encoding drops EXIF/GPS and other metadata; orientation is applied
+// to the pixels first so photos are not shown sideways.
+// Returns { metadata, variants: { name: { buffer, width, height, size } } }
+// or { error }.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'File is not a valid image' };
+  }
+
+  // The declared MIME type can be faked, so check the decoded format too
+  if (!Object.values(ALLOWED_IMAGE_TYPES).includes(metadata.format)) {
+    return { error: 'Only JPEG, PNG and WebP images are allowed' };
+  }
+
+  const variants = {};
+  for (const [name, options] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ ...options, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = {
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    };
+  }
+
+  return {
+    metadata: { format: metadata.format, width: metadata.width, height: metadata.height },
+    variants,
+  };
+};
+
+module.exports = { processImage };
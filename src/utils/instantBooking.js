@@ -0,0 +1,149 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { PAID_STATUSES } = require('./bookingLifecycle');
+const { getDepartureAt } = require('./departureTime');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RULE_FIELDS = [
+  'enabled',
+  'maxSeatsPerBooking',
+  'returningPassengersOnly',
+  'cutoffHoursBeforeDeparture',
+];
+
+// Validate instant booking settings from a request body (only the given
+// fields). Tickets may set `enabled: null` to follow the vendor's settings.
+// Returns { settings } or { error }.
+const parseInstantBookingSettings = (input, { allowFollowVendor = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Instant booking settings must be an object' };
+  }
+
+  const settings = {};
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean' && !(allowFollowVendor && input.enabled === null)) {
+      return {
+        error: allowFollowVendor
+          ? 'enabled must be true, false or null (follow the vendor settings)'
+          : 'enabled must be true or false',
+      };
+    }
+    settings.enabled = input.enabled;
+  }
+
+  if (input.maxSeatsPerBooking !== undefined) {
+    const value = input.maxSeatsPerBooking;
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: 'maxSeatsPerBooking must be a whole number of at least 1, or null' };
+    }
+    settings.maxSeatsPerBooking = value;
+  }
+
+  if (input.returningPassengersOnly !== undefined) {
+    if (typeof input.returningPassengersOnly !== 'boolean') {
+      return { error: 'returningPassengersOnly must be true or false' };
+    }
+    settings.returningPassengersOnly = input.returningPassengersOnly;
+  }
+
+  if (input.cutoffHoursBeforeDeparture !== undefined) {
+    const value = input.cutoffHoursBeforeDeparture;
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return { error: 'cutoffHoursBeforeDeparture must be a number of at least 0, or null' };
+    }
+    settings.cutoffHoursBeforeDeparture = value;
+  }
+
+  return { settings };
+};
+
+// Copy parsed settings onto a ticket or vendor (not saved)
+const applyInstantBookingSettings = (doc, settings) => {
+  Object.entries(settings).forEach(([field, value]) => doc.set(`instantBooking.${field}`, value));
+};
+
+const pickRules = (settings) =>
+  RULE_FIELDS.reduce((rules, field) => {
+    rules[field] = settings?.[field] ?? (field === 'returningPassengersOnly' ? false : null);
+    return rules;
+  }, {});
+
+// Human-readable rule, e.g. "Vendor instant booking: up to 4 seats per booking"
+const describeRule = (source, rules) => {
+  const conditions = [];
+  if (rules.maxSeatsPerBooking) {
+    conditions.push(`up to ${rules.maxSeatsPerBooking} seat(s) per booking`);
+  }
+  if (rules.returningPassengersOnly) {
+    conditions.push('passengers with a paid booking before');
+  }
+  if (rules.cutoffHoursBeforeDeparture) {
+    conditions.push(`until ${rules.cutoffHoursBeforeDeparture} hour(s) before departure`);
+  }
+
+  const name = source === 'ticket' ? 'Ticket instant booking' : 'Vendor instant booking';
+  return `${name}: ${conditions.length > 0 ? conditions.join(', ') : 'all bookings'}`;
+};
+
+// Rules that apply to a ticket: its own when it sets `enabled`, otherwise
+// the vendor's. Returns { source: 'ticket' | 'vendor', rules }.
+const getInstantBookingRules = async (ticket) => {
+  if (typeof ticket.instantBooking?.enabled === 'boolean') {
+    return { source: 'ticket', rules: pickRules(ticket.instantBooking) };
+  }
+
+  const vendor = await User.findById(ticket.vendor).select('instantBooking');
+  return {
+    source: 'vendor',
+    rules: pickRules(vendor?.instantBooking),
+  };
+};
+
+// Whether a new booking is accepted without waiting for the vendor.
+// Returns { accepted: true, rule: { source, description, ...rules } } or
+// { accepted: false }.
+const checkInstantBooking = async (ticket, user, quantity, now = new Date()) => {
+  const { source, rules } = await getInstantBookingRules(ticket);
+
+  if (!rules.enabled) {
+    return { accepted: false };
+  }
+
+  if (rules.maxSeatsPerBooking && quantity > rules.maxSeatsPerBooking) {
+    return { accepted: false };
+  }
+
+  if (rules.cutoffHoursBeforeDeparture) {
+    const departureAt = getDepartureAt(ticket);
+    if (
+      !departureAt ||
+      departureAt.getTime() - now.getTime() < rules.cutoffHoursBeforeDeparture * HOUR_MS
+    ) {
+      return { accepted: false };
+    }
+  }
+
+  if (rules.returningPassengersOnly) {
+    const returning = await Booking.exists({
+      user: user._id,
+      status: { $in: PAID_STATUSES },
+    });
+    if (!returning) {
+      return { accepted: false };
+    }
+  }
+
+  return {
+    accepted: true,
+    rule: { source, description: describeRule(source, rules), ...rules },
+  };
+};
+
+module.exports = {
+  parseInstantBookingSettings,
+  applyInstantBookingSettings,
+  getInstantBookingRules,
+  checkInstantBooking,
+};
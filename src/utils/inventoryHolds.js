@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+
+const classKey = (fareClassCode) => String(fareClassCode || '').trim().toUpperCase();
+
+// Aggregation expression: tickets held by unexpired holds (one fare class,
+// or all of them when `fareClassCode` is null)
+const heldQuantityExpression = (now, fareClassCode = null) => ({
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$holds', []] },
+          as: 'hold',
+          cond: {
+            $and: [
+              { $gt: ['$$hold.expiresAt', now] },
+              ...(fareClassCode === null
+                ? []
+                : [{ $eq: ['$$hold.fareClass', classKey(fareClassCode)] }]),
+            ],
+          },
+        },
+      },
+      as: 'hold',
+      in: '$$hold.quantity',
+    },
+  },
+});
+
+// Aggregation expression: tickets left to book (quantity minus holds)
+const availableQuantityExpression = (now, fareClassCode = null) => {
+  const stock = fareClassCode
+    ? {
+        $ifNull: [
+          {
+            $arrayElemAt: [
+              {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$fareClasses',
+                      as: 'fareClass',
+                      cond: { $eq: ['$$fareClass.code', classKey(fareClassCode)] },
+                    },
+                  },
+                  as: 'fareClass',
+                  in: '$$fareClass.quantity',
+                },
+              },
+              0,
+            ],
+          },
+          0,
+        ],
+      }
+    : '$quantity';
+
+  return { $subtract: [stock, heldQuantityExpression(now, fareClassCode)] };
+};
+
+// Hold tickets for a booking, only if enough are left after other holds.
+// Expired holds are dropped in the same atomic update.
+// Returns the updated ticket, or null when there are not enough tickets.
+const placeHold = (ticketId, { bookingId, fareClass, quantity, expiresAt }, now = new Date()) => {
+  // Pipeline updates are not cast by the schema, so text would be stored as is
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new Error(`Invalid hold quantity: ${quantity}`);
+  }
+
+  const code = classKey(fareClass);
+  const bookingObjectId = new mongoose.Types.ObjectId(String(bookingId));
+
+  return Ticket.findOneAndUpdate(
+    {
+      _id: ticketId,
+      $expr: { $gte: [availableQuantityExpression(now, code || null), quantity] },
+    },
+    [
+      {
+        $set: {
+          holds: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$holds', []] },
+                  as: 'hold',
+                  cond: {
+                    $and: [
+                      { $gt: ['$$hold.expiresAt', now] },
+                      { $ne: ['$$hold.booking', bookingObjectId] },
+                    ],
+                  },
+                },
+              },
+              [{ booking: bookingObjectId, fareClass: code, quantity, expiresAt }],
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, updatePipeline: true }
+  );
+};
+
+// Keep a booking's hold until `expiresAt` (vendor accepted, payment
+// window starts). Places a new hold when the old one is gone.
+// Returns the updated ticket, or null when there are not enough tickets.
+const extendHold = async (ticketId, booking, expiresAt, now = new Date()) => {
+  const extended = await Ticket.findOneAndUpdate(
+    {
+      _id: ticketId,
+      holds: { $elemMatch: { booking: booking._id, expiresAt: { $gt: now } } },
+    },
+    { $set: { 'holds.$.expiresAt': expiresAt } },
+    { new: true }
+  );
+
+  if (extended) {
+    return extended;
+  }
+
+  return placeHold(
+    ticketId,
+    {
+      bookingId: booking._id,
+      fareClass: booking.ticketSnapshot?.fareClass?.code,
+      quantity: booking.bookingQuantity,
+      expiresAt,
+    },
+    now
+  );
+};
+
+// Whether a booking still has an unexpired hold on the ticket
+const hasActiveHold = (ticket, bookingId, now = new Date()) =>
+  (ticket.holds || []).some(
+    (hold) => hold.booking.toString() === bookingId.toString() && hold.expiresAt > now
+  );
+
+// Drop a booking's hold (paid, rejected, cancelled or expired)
+const releaseHold = (ticketId, bookingId) =>
+  Ticket.updateOne({ _id: ticketId }, { $pull: { holds: { booking: bookingId } } });
+
+// Clean up holds that ran out (lifecycle scheduler).
+// Returns the IDs of tickets that got tickets back.
+const releaseExpiredHolds = async (now = new Date()) => {
+  const tickets = await Ticket.find({ 'holds.expiresAt': { $lte: now } }).select('_id');
+  if (tickets.length === 0) {
+    return [];
+  }
+
+  await Ticket.updateMany(
+    { _id: { $in: tickets.map((ticket) => ticket._id) } },
+    { $pull: { holds: { expiresAt: { $lte: now } } } }
+  );
+
+  return tickets.map((ticket) => ticket._id);
+};
+
+module.exports = {
+  heldQuantityExpression,
+  availableQuantityExpression,
+  placeHold,
+  extendHold,
+  hasActiveHold,
+  releaseHold,
+  releaseExpiredHolds,
+};
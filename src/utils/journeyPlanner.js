@@ -0,0 +1,165 @@
+// Builds multi-leg itineraries out of single tickets.
+// Legs connect when the next ticket leaves from the previous ticket's
+// destination at least `minTransferMinutes` after it arrives.
+
+const { computeEffectivePrice } = require('./pricing');
+
+const MINUTE_MS = 60 * 1000;
+
+// Locations are free text, so compare them loosely
+const normalizeLocation = (location) =>
+  String(location || '').trim().toLowerCase();
+
+// Leg as shown in an itinerary, priced like booking it alone would be
+const summarizeLeg = (ticket, now) => ({
+  _id: ticket._id,
+  title: ticket.title,
+  image: ticket.image,
+  fromLocation: ticket.fromLocation,
+  toLocation: ticket.toLocation,
+  transportType: ticket.transportType,
+  basePrice: ticket.price,
+  price: computeEffectivePrice(ticket, null, now).unitPrice,
+  quantity: ticket.quantity,
+  departureDate: ticket.departureDate,
+  departureTime: ticket.departureTime,
+  departureDateTime: ticket.departureDateTime,
+  arrivalDateTime: ticket.arrivalDateTime,
+  durationMinutes: ticket.durationMinutes,
+  vendorName: ticket.vendorName,
+});
+
+const buildItinerary = (legs, passengers, now) => {
+  const summaries = legs.map((leg) => summarizeLeg(leg, now));
+  const pricePerPassenger = summaries.reduce((sum, leg) => sum + leg.price, 0);
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const arrival = last.arrivalDateTime;
+
+  const transfers = [];
+  for (let i = 1; i < legs.length; i++) {
+    transfers.push({
+      location: legs[i].fromLocation,
+      waitMinutes: Math.round(
+        (legs[i].departureDateTime - legs[i - 1].arrivalDateTime) / MINUTE_MS
+      ),
+    });
+  }
+
+  return {
+    legs: summaries,
+    legCount: legs.length,
+    transfers,
+    passengers,
+    pricePerPassenger,
+    totalPrice: pricePerPassenger * passengers,
+    departureDateTime: first.departureDateTime,
+    arrivalDateTime: arrival,
+    // Unknown when the last leg has no duration
+    totalDurationMinutes: arrival
+      ? Math.round((arrival - first.departureDateTime) / MINUTE_MS)
+      : null,
+  };
+};
+
+// Search over tickets one leg count at a time, up to `maxLegs` legs per
+// itinerary. Results are ranked fewest legs first, so the search stops after
+// the leg count that brings in `maxResults` itineraries, or once `maxVisits`
+// connections have been tried. `tickets` must already be filtered to
+// bookable ones; `firstLegFilter` narrows where itineraries may start.
+// `totalPrice` is for all `passengers`, `pricePerPassenger` for one.
+const findItineraries = (
+  tickets,
+  {
+    from,
+    to,
+    maxLegs = 3,
+    minTransferMinutes = 60,
+    maxResults = 20,
+    maxVisits = 5000,
+    passengers = 1,
+    firstLegFilter = () => true,
+    now = new Date(),
+  }
+) => {
+  const origin = normalizeLocation(from);
+  const destination = normalizeLocation(to);
+  const minTransferMs = minTransferMinutes * MINUTE_MS;
+
+  // Index tickets by departure location
+  const byOrigin = new Map();
+  tickets.forEach((ticket) => {
+    if (!ticket.departureDateTime) return;
+    const key = normalizeLocation(ticket.fromLocation);
+    if (!byOrigin.has(key)) byOrigin.set(key, []);
+    byOrigin.get(key).push(ticket);
+  });
+
+  const itineraries = [];
+  let visits = 0;
+
+  // Partial journeys with the locations they already passed through
+  let paths = (byOrigin.get(origin) || [])
+    .filter(firstLegFilter)
+    .map((first) => ({
+      legs: [first],
+      visited: new Set([origin, normalizeLocation(first.toLocation)]),
+    }));
+
+  for (let legCount = 1; legCount <= maxLegs && paths.length > 0; legCount++) {
+    const nextPaths = [];
+
+    for (const { legs, visited } of paths) {
+      const last = legs[legs.length - 1];
+      const location = normalizeLocation(last.toLocation);
+
+      if (location === destination) {
+        itineraries.push(buildItinerary(legs, passengers, now));
+        continue;
+      }
+
+      // No more legs past the limits, or without knowing when this one arrives
+      if (legCount >= maxLegs || !last.arrivalDateTime || visits >= maxVisits) {
+        continue;
+      }
+
+      const earliestDeparture = last.arrivalDateTime.getTime() + minTransferMs;
+
+      for (const next of byOrigin.get(location) || []) {
+        const nextLocation = normalizeLocation(next.toLocation);
+        if (
+          next.departureDateTime.getTime() >= earliestDeparture &&
+          !visited.has(nextLocation)
+        ) {
+          nextPaths.push({
+            legs: [...legs, next],
+            visited: new Set([...visited, nextLocation]),
+          });
+          visits += 1;
+          if (visits >= maxVisits) break;
+        }
+      }
+    }
+
+    // More legs would only rank below what was found already
+    if (itineraries.length >= maxResults) {
+      break;
+    }
+    paths = nextPaths;
+  }
+
+  // Fewest legs first, then fastest, then cheapest
+  itineraries.sort(
+    (a, b) =>
+      a.legCount - b.legCount ||
+      (a.totalDurationMinutes ?? Infinity) - (b.totalDurationMinutes ?? Infinity) ||
+      a.totalPrice - b.totalPrice
+  );
+
+  return itineraries.slice(0, maxResults);
+};
+
+module.exports = {
+  normalizeLocation,
+  findItineraries,
+};
@@ -0,0 +1,28 @@
+// Normalize a place name for matching: Unicode NFC, lowercase, single spaces.
+// Works for both English and Bangla spellings.
+const normalizeLocationName = (value) =>
+  String(value || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Split "Dhaka (Gabtoli)" into the place and the terminal part
+const splitTerminal = (value) => {
+  const match = String(value || '').match(/^(.*?)\s*\((.+)\)\s*$/);
+  if (!match) {
+    return { place: String(value || '').trim(), terminal: null };
+  }
+
+  return { place: match[1].trim(), terminal: match[2].trim() };
+};
+
+// Inverse of splitTerminal - "Dhaka" + "Gabtoli" => "Dhaka (Gabtoli)"
+const formatLocation = (place, terminal) =>
+  terminal ? `${place} (${terminal})` : place;
+
+module.exports = {
+  normalizeLocationName,
+  splitTerminal,
+  formatLocation,
+};
@@ -0,0 +1,98 @@
+const Location = require('../models/Location');
+const { normalizeLocationName, splitTerminal } = require('./locationNames');
+
+const findTerminal = (location, name) => {
+  const normalized = normalizeLocationName(name);
+  return (
+    location.terminals.find(
+      (terminal) =>
+        normalizeLocationName(terminal.name) === normalized ||
+        normalizeLocationName(terminal.nameBn) === normalized
+    ) || null
+  );
+};
+
+// Match free text ("dhaka ", "ঢাকা", "Dhaka (Gabtoli)", "Gabtoli") against
+// the catalog. Returns { location, terminal } or null.
+const resolveLocation = async (input) => {
+  const normalized = normalizeLocationName(input);
+  if (!normalized) {
+    return null;
+  }
+
+  // Any known spelling of the place or one of its terminals
+  const location = await Location.findOne({
+    searchKeys: normalized,
+    isActive: true,
+  });
+
+  if (location) {
+    const terminal = findTerminal(location, input);
+    return { location, terminal: terminal ? terminal.name : null };
+  }
+
+  // "Place (Terminal)"
+  const { place, terminal: terminalName } = splitTerminal(input);
+  if (terminalName) {
+    const placeLocation = await Location.findOne({
+      searchKeys: normalizeLocationName(place),
+      isActive: true,
+    });
+
+    if (placeLocation) {
+      const terminal = findTerminal(placeLocation, terminalName);
+      return {
+        location: placeLocation,
+        terminal: terminal ? terminal.name : terminalName,
+      };
+    }
+  }
+
+  return null;
+};
+
+// Resolve both ends of a route for a ticket or schedule.
+// Returns { fields } with canonical names and references, or { error }.
+const resolveRoute = async (fromInput, toInput, transportType) => {
+  const fields = {};
+  const ends = [
+    ['from', fromInput],
+    ['to', toInput],
+  ];
+
+  for (const [prefix, input] of ends) {
+    const resolved = await resolveLocation(input);
+
+    if (!resolved) {
+      return {
+        error: `Unknown location: "${input}". Please pick a location from the catalog.`,
+      };
+    }
+
+    const { location, terminal } = resolved;
+    if (
+      transportType &&
+      location.transportTypes.length > 0 &&
+      !location.transportTypes.includes(transportType)
+    ) {
+      return {
+        error: `${location.name} does not support ${transportType} travel`,
+      };
+    }
+
+    fields[`${prefix}Location`] = location.name;
+    fields[`${prefix}LocationRef`] = location._id;
+    fields[`${prefix}Terminal`] = terminal;
+  }
+
+  if (fields.fromLocationRef.toString() === fields.toLocationRef.toString()) {
+    return { error: 'Departure and destination cannot be the same location' };
+  }
+
+  return { fields };
+};
+
+module.exports = {
+  resolveLocation,
+  resolveRoute,
+};
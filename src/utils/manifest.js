@@ -0,0 +1,180 @@
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+const { PAID_STATUSES } = require('./bookingLifecycle');
+const { getDepartureAt, formatDeparture } = require('./departureTime');
+const { toCsv } = require('./csv');
+
+// E-ticket reference (last part of the booking ID for bookings paid
+// before references were given)
+const bookingReference = (booking) =>
+  booking.reference || booking._id.toString().slice(-8).toUpperCase();
+
+const MANIFEST_COLUMNS = [
+  { key: 'reference', header: 'Booking Ref' },
+  { key: 'passengerName', header: 'Passenger' },
+  { key: 'ageGroup', header: 'Age Group' },
+  { key: 'gender', header: 'Gender' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'idDocument', header: 'NID/Passport' },
+  { key: 'seat', header: 'Seat / Qty' },
+  { key: 'fareClass', header: 'Fare Class' },
+  { key: 'bookedBy', header: 'Booked By' },
+  { key: 'bookedByEmail', header: 'Booked By Email' },
+  { key: 'paidAt', header: 'Paid At' },
+];
+
+// Manifest lines of one booking: one per passenger, or a single line with
+// the quantity for bookings made without passenger details
+const manifestRows = (booking) => {
+  const user = booking.user || {};
+  const common = {
+    reference: bookingReference(booking),
+    fareClass: booking.ticketSnapshot?.fareClass?.code || '',
+    bookedBy: user.name,
+    bookedByEmail: user.email,
+    paidAt: booking.paidAt,
+  };
+
+  if (booking.passengers.length === 0) {
+    return [
+      {
+        ...common,
+        passengerName: user.name,
+        seat: booking.seats.length > 0 ? booking.seats.join(' ') : `x${booking.bookingQuantity}`,
+      },
+    ];
+  }
+
+  return booking.passengers.map((passenger) => ({
+    ...common,
+    passengerName: passenger.name,
+    ageGroup: passenger.ageGroup,
+    gender: passenger.gender,
+    phone: passenger.phone,
+    idDocument: passenger.idNumber
+      ? `${passenger.idType.toUpperCase()} ${passenger.idNumber}`
+      : '',
+    seat: passenger.seatId || 'x1',
+  }));
+};
+
+// Everyone who paid for a departure, ordered by seat (then booking time)
+const buildManifest = async (ticket) => {
+  const bookings = await Booking.find({
+    ticket: ticket._id,
+    status: { $in: PAID_STATUSES },
+    paymentStatus: 'paid',
+  })
+    .sort({ paidAt: 1 })
+    .populate('user', 'name email');
+
+  const rows = bookings
+    .flatMap(manifestRows)
+    .sort((a, b) => a.seat.localeCompare(b.seat, undefined, { numeric: true }));
+
+  return {
+    ticket: {
+      _id: ticket._id,
+      title: ticket.title,
+      route: `${ticket.fromLocation} - ${ticket.toLocation}`,
+      transportType: ticket.transportType,
+      departure: formatDeparture(getDepartureAt(ticket), ticket.timeZone),
+      vendorName: ticket.vendorName,
+    },
+    generatedAt: new Date(),
+    totals: {
+      bookings: bookings.length,
+      passengers: bookings.reduce((sum, booking) => sum + booking.bookingQuantity, 0),
+    },
+    rows,
+  };
+};
+
+const manifestCsv = (manifest) => toCsv(MANIFEST_COLUMNS, manifest.rows);
+
+// Columns printed on the PDF (width in points, A4 landscape)
+const PDF_COLUMNS = [
+  { key: 'reference', header: 'Ref', width: 62 },
+  { key: 'passengerName', header: 'Passenger', width: 130 },
+  { key: 'ageGroup', header: 'Age', width: 42 },
+  { key: 'gender', header: 'Gender', width: 44 },
+  { key: 'phone', header: 'Phone', width: 88 },
+  { key: 'idDocument', header: 'NID/Passport', width: 100 },
+  { key: 'seat', header: 'Seat/Qty', width: 50 },
+  { key: 'fareClass', header: 'Class', width: 40 },
+  { key: 'bookedBy', header: 'Booked By', width: 110 },
+  { key: 'paidAt', header: 'Paid At (UTC)', width: 96 },
+];
+
+const pdfValue = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 16).replace('T', ' ');
+  return value === null || value === undefined ? '' : String(value);
+};
+
+// Print the manifest as a PDF straight into the response
+const sendManifestPdf = (res, manifest, fileName) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.status(200);
+  doc.pipe(res);
+
+  doc.fontSize(16).text(`Passenger manifest - ${manifest.ticket.title}`);
+  doc
+    .fontSize(10)
+    .text(`${manifest.ticket.route} (${manifest.ticket.transportType})`)
+    .text(
+      manifest.ticket.departure
+        ? `Departure: ${manifest.ticket.departure.local} (${manifest.ticket.departure.timeZone})`
+        : 'Departure: -'
+    )
+    .text(
+      `Paid bookings: ${manifest.totals.bookings}   Passengers: ${manifest.totals.passengers}   Generated: ${pdfValue(manifest.generatedAt)} UTC`
+    )
+    .moveDown();
+
+  const left = doc.page.margins.left;
+  const printRow = (row, bold = false) => {
+    // New page (with the header again) when the row doesn't fit
+    if (doc.y + 28 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!bold) printRow(headerRow, true);
+    }
+
+    const top = doc.y;
+    let x = left;
+    let bottom = top;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    PDF_COLUMNS.forEach((column) => {
+      doc.text(pdfValue(row[column.key]), x, top, { width: column.width - 4 });
+      bottom = Math.max(bottom, doc.y);
+      x += column.width;
+    });
+    doc.y = bottom + 4;
+    doc
+      .moveTo(left, doc.y - 2)
+      .lineTo(x, doc.y - 2)
+      .lineWidth(0.5)
+      .strokeColor('#cccccc')
+      .stroke();
+  };
+
+  const headerRow = Object.fromEntries(PDF_COLUMNS.map((column) => [column.key, column.header]));
+  printRow(headerRow, true);
+  manifest.rows.forEach((row) => printRow(row));
+
+  if (manifest.rows.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No paid bookings yet.', left, doc.y + 6);
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  bookingReference,
+  MANIFEST_COLUMNS,
+  buildManifest,
+  manifestCsv,
+  sendManifestPdf,
+};
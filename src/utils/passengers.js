@@ -0,0 +1,97 @@
+// Passenger details on bookings and saved travellers on user profiles
+
+const AGE_GROUPS = ['adult', 'child', 'infant'];
+const GENDERS = ['male', 'female', 'other'];
+const ID_TYPES = ['nid', 'passport'];
+
+const PHONE_PATTERN = /^\+?[0-9][0-9\s-]{5,19}$/;
+
+const PASSENGER_FIELDS = ['name', 'ageGroup', 'gender', 'phone', 'idType', 'idNumber'];
+
+// Validate one passenger (or saved traveller) from a request body.
+// `label` names it in error messages. Returns { passenger } or { error }.
+const parsePassenger = (input, label = 'Passenger') => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: `${label}: details must be an object` };
+  }
+
+  const name = String(input.name || '').trim();
+  const ageGroup = String(input.ageGroup || 'adult').trim().toLowerCase();
+  const gender = String(input.gender || '').trim().toLowerCase();
+  const phone = String(input.phone || '').trim();
+  const idNumber = String(input.idNumber || '').trim();
+  const idType = idNumber ? String(input.idType || '').trim().toLowerCase() : '';
+
+  if (name.length < 2) {
+    return { error: `${label}: please provide the passenger's name` };
+  }
+  if (!AGE_GROUPS.includes(ageGroup)) {
+    return { error: `${label}: age group must be one of ${AGE_GROUPS.join(', ')}` };
+  }
+  if (!GENDERS.includes(gender)) {
+    return { error: `${label}: gender must be one of ${GENDERS.join(', ')}` };
+  }
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    return { error: `${label}: invalid phone number` };
+  }
+  if (idNumber && !ID_TYPES.includes(idType)) {
+    return { error: `${label}: ID type must be one of ${ID_TYPES.join(', ')}` };
+  }
+
+  return { passenger: { name, ageGroup, gender, phone, idType, idNumber } };
+};
+
+// Build a booking's passenger list: one entry per booked ticket, either
+// given in full or as { travellerId } of a traveller saved on the profile.
+// Seats are given out in order. Returns { passengers } or { error }.
+const buildPassengers = (input, { quantity, seats = [], savedTravellers = [], required = false }) => {
+  if (input === undefined || input === null || (Array.isArray(input) && input.length === 0)) {
+    return required
+      ? { error: 'Passenger details are required for this trip' }
+      : { passengers: [] };
+  }
+
+  if (!Array.isArray(input)) {
+    return { error: 'Passengers must be a list' };
+  }
+
+  if (input.length !== Number(quantity)) {
+    return { error: `Please provide details for ${quantity} passenger(s)` };
+  }
+
+  const passengers = [];
+  for (const [index, item] of input.entries()) {
+    const label = `Passenger ${index + 1}`;
+    let details = item;
+
+    if (item && item.travellerId) {
+      const traveller = savedTravellers.find(
+        (saved) => saved._id.toString() === String(item.travellerId)
+      );
+      if (!traveller) {
+        return { error: `${label}: saved traveller not found` };
+      }
+      details = PASSENGER_FIELDS.reduce((fields, field) => {
+        fields[field] = traveller[field];
+        return fields;
+      }, {});
+    }
+
+    const { passenger, error } = parsePassenger(details, label);
+    if (error) {
+      return { error };
+    }
+
+    passengers.push({ ...passenger, seatId: seats[index] || '' });
+  }
+
+  return { passengers };
+};
+
+module.exports = {
+  AGE_GROUPS,
+  GENDERS,
+  ID_TYPES,
+  parsePassenger,
+  buildPassengers,
+};
@@ -0,0 +1,142 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Booking = require('../models/Booking');
+const Ticket = require('../models/Ticket');
+const Transaction = require('../models/Transaction');
+const { settlePayment } = require('./paymentSettlement');
+
+// Paid bookings without a Transaction record. With `repair` the missing
+// record is created from the booking.
+const findMissingTransactions = async (repair) => {
+  const bookings = await Booking.find({ paidAt: { $ne: null }, paymentIntentId: { $ne: null } })
+    .select('user ticket paymentIntentId paymentStatus totalPrice ticketSnapshot.title')
+    .lean();
+  const recorded = new Set(
+    (await Transaction.distinct('booking', { booking: { $in: bookings.map((b) => b._id) } })).map(
+      (id) => id.toString()
+    )
+  );
+  const missing = bookings.filter((booking) => !recorded.has(booking._id.toString()));
+
+  if (repair) {
+    for (const booking of missing) {
+      // Upsert by payment intent so two repair runs can't both create it
+      await Transaction.updateOne(
+        { transactionId: booking.paymentIntentId },
+        {
+          $setOnInsert: {
+            user: booking.user,
+            booking: booking._id,
+            ticket: booking.ticket,
+            amount: booking.totalPrice,
+            currency: 'BDT',
+            paymentMethod: 'stripe',
+            paymentStatus: booking.paymentStatus === 'refunded' ? 'refunded' : 'completed',
+            stripePaymentIntentId: booking.paymentIntentId,
+            ticketTitle: booking.ticketSnapshot?.title || 'Ticket',
+          },
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  return missing.map((booking) => ({
+    bookingId: booking._id,
+    paymentIntentId: booking.paymentIntentId,
+  }));
+};
+
+// Tickets whose sold count doesn't match their paid bookings (a decrement
+// that was missed or applied twice). With `repair` the difference is put
+// right on the ticket; tickets with fare classes are only reported, as the
+// class the difference belongs to can't be told. Tickets sold before sold
+// counts were kept need npm run migrate:sold first, or their earlier sales
+// would be taken off the quantity a second time.
+const findInventoryMismatches = async (repair) => {
+  const sold = await Booking.aggregate([
+    { $match: { paidAt: { $ne: null } } },
+    { $group: { _id: '$ticket', quantity: { $sum: '$bookingQuantity' } } },
+  ]);
+  const expected = new Map(sold.map((item) => [item._id.toString(), item.quantity]));
+
+  const tickets = await Ticket.find({
+    $or: [{ _id: { $in: sold.map((item) => item._id) } }, { soldQuantity: { $gt: 0 } }],
+  })
+    .select('title quantity soldQuantity fareClasses')
+    .lean();
+
+  const mismatches = [];
+  for (const ticket of tickets) {
+    const expectedSold = expected.get(ticket._id.toString()) || 0;
+    const difference = expectedSold - (ticket.soldQuantity || 0);
+    if (difference === 0) continue;
+
+    const hasFareClasses = (ticket.fareClasses || []).length > 0;
+    // Never take the quantity below zero
+    const quantityChange = difference > 0 ? -Math.min(difference, ticket.quantity) : -difference;
+    let repaired = false;
+
+    if (repair && !hasFareClasses) {
+      // Guarded on the values read, so a sale made meanwhile isn't overwritten
+      const result = await Ticket.updateOne(
+        { _id: ticket._id, soldQuantity: ticket.soldQuantity, quantity: ticket.quantity },
+        { $inc: { quantity: quantityChange, soldQuantity: difference } }
+      );
+      repaired = result.modifiedCount === 1;
+    }
+
+    mismatches.push({
+      ticketId: ticket._id,
+      title: ticket.title,
+      soldQuantity: ticket.soldQuantity || 0,
+      expectedSoldQuantity: expectedSold,
+      quantityChange,
+      repaired,
+      needsReview: hasFareClasses,
+    });
+  }
+
+  return mismatches;
+};
+
+// Bookings with a payment intent that succeeded on Stripe but was never
+// confirmed (the request didn't reach us or failed half-way). With
+// `repair` they are settled like a confirmation: applied or refunded.
+const findUnsettledPayments = async (repair) => {
+  const bookings = await Booking.find({
+    paymentStatus: 'unpaid',
+    paymentIntentId: { $ne: null },
+    status: { $in: ['accepted', 'expired', 'rejected', 'cancelled'] },
+  }).select('paymentIntentId status');
+
+  const unsettled = [];
+  for (const booking of bookings) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(booking.paymentIntentId);
+    if (paymentIntent.status !== 'succeeded') continue;
+
+    const line = {
+      bookingId: booking._id,
+      paymentIntentId: paymentIntent.id,
+      status: booking.status,
+      outcome: null,
+    };
+    if (repair) {
+      line.outcome = (await settlePayment(booking._id, paymentIntent)).outcome;
+    }
+    unsettled.push(line);
+  }
+
+  return unsettled;
+};
+
+// Find (and with `repair`, fix) payments that were only partly applied.
+// `checkStripe` also asks Stripe about unpaid bookings with a payment.
+const checkPaymentConsistency = async ({ repair = false, checkStripe = false } = {}) => ({
+  missingTransactions: await findMissingTransactions(repair),
+  inventoryMismatches: await findInventoryMismatches(repair),
+  unsettledPayments: checkStripe ? await findUnsettledPayments(repair) : [],
+});
+
+module.exports = {
+  checkPaymentConsistency,
+};
@@ -0,0 +1,168 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Ticket = require('../models/Ticket');
+const Transaction = require('../models/Transaction');
+const { releaseBookingResources } = require('./bookingRelease');
+const { recordStatus } = require('./bookingLifecycle');
+const { generateBookingReference } = require('./etickets');
+
+// Take the booked tickets off the ticket, only if enough are left.
+// Returns false (nothing changed) when they are not.
+const deductInventory = async (booking, session) => {
+  const quantity = booking.bookingQuantity;
+  const fareClassCode = booking.ticketSnapshot.fareClass?.code;
+  const filter = { _id: booking.ticket, quantity: { $gte: quantity } };
+  const inc = { quantity: -quantity, soldQuantity: quantity };
+
+  // The ticket's quantity is the sum of its classes - both go down
+  if (fareClassCode) {
+    filter.fareClasses = { $elemMatch: { code: fareClassCode, quantity: { $gte: quantity } } };
+    inc['fareClasses.$.quantity'] = -quantity;
+  }
+
+  const result = await Ticket.updateOne(
+    filter,
+    { $inc: inc, $pull: { holds: { booking: booking._id } } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Record a succeeded payment in one MongoDB transaction: the booking is
+// marked paid, the tickets are deducted and the Transaction is created -
+// all of it or nothing. Returns what the caller has to do next.
+const applyPayment = async (bookingId, paymentIntent, actor, session) => {
+  const booking = await Booking.findById(bookingId).session(session);
+
+  if (!booking) {
+    return { outcome: 'missing' };
+  }
+
+  if (booking.paymentStatus === 'paid') {
+    // Same payment confirmed again - same answer as the first time
+    if (booking.paymentIntentId === paymentIntent.id) {
+      const transaction = await Transaction.findOne({
+        stripePaymentIntentId: paymentIntent.id,
+      }).session(session);
+      return { outcome: 'paid', booking, transaction };
+    }
+    return { outcome: 'refund', message: 'This booking was already paid with another payment' };
+  }
+
+  // Expired, rejected or cancelled while the payment was in progress
+  if (booking.status !== 'accepted') {
+    return { outcome: 'refund', booking, message: `This booking is ${booking.status}` };
+  }
+
+  // The vendor cancelled the trip before its cancellation reached this booking
+  const ticket = await Ticket.findById(booking.ticket).select('isCancelled').session(session);
+  if (!ticket || ticket.isCancelled) {
+    recordStatus(booking, 'cancelled', null, 'Trip was cancelled');
+    await booking.save({ session });
+    return {
+      outcome: 'refund',
+      booking,
+      released: true,
+      message: 'This trip has been cancelled',
+    };
+  }
+
+  if (!(await deductInventory(booking, session))) {
+    recordStatus(booking, 'cancelled', null, 'Not enough tickets left when the payment arrived');
+    await booking.save({ session });
+    return {
+      outcome: 'refund',
+      booking,
+      released: true,
+      message: 'Not enough tickets are left for this booking',
+    };
+  }
+
+  recordStatus(booking, 'paid', actor);
+  booking.paymentStatus = 'paid';
+  booking.paymentIntentId = paymentIntent.id;
+  booking.paidAt = new Date();
+  booking.reference = await generateBookingReference(session);
+  await booking.save({ session });
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        user: booking.user,
+        booking: booking._id,
+        ticket: booking.ticket,
+        transactionId: paymentIntent.id,
+        amount: booking.totalPrice,
+        currency: 'BDT',
+        paymentMethod: 'stripe',
+        paymentStatus: 'completed',
+        stripePaymentIntentId: paymentIntent.id,
+        ticketTitle: booking.ticketSnapshot.title,
+      },
+    ],
+    { session }
+  );
+
+  return { outcome: 'paid', booking, transaction };
+};
+
+// Give the money back for a payment that can't be used. The idempotency
+// key makes repeated calls return the same refund.
+const refundPayment = async (paymentIntent, booking) => {
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: paymentIntent.id,
+      metadata: booking ? { bookingId: booking._id.toString() } : {},
+    },
+    { idempotencyKey: `payment-refund-${paymentIntent.id}` }
+  );
+
+  // Leave a booking paid with another payment alone
+  if (booking) {
+    await Booking.updateOne(
+      { _id: booking._id, paymentStatus: { $ne: 'paid' } },
+      {
+        paymentStatus: 'refunded',
+        refund: {
+          stripeRefundId: refund.id,
+          amount: paymentIntent.amount / 100,
+          reason: 'Payment arrived after the booking closed',
+          refundedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  return refund;
+};
+
+// Settle a succeeded Stripe payment for a booking. Safe to call any number
+// of times with the same payment intent, also concurrently: a conflicting
+// transaction is retried and then sees the booking already paid.
+// Returns { outcome: 'paid', booking, transaction },
+// { outcome: 'refunded', message } or { outcome: 'missing' }.
+const settlePayment = async (bookingId, paymentIntent, actor = null) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await applyPayment(bookingId, paymentIntent, actor, session);
+  });
+
+  if (result.outcome !== 'refund') {
+    return result;
+  }
+
+  if (result.released) {
+    await releaseBookingResources(result.booking);
+  }
+  await refundPayment(paymentIntent, result.booking);
+
+  return {
+    outcome: 'refunded',
+    message: `${result.message}. The payment has been refunded.`,
+  };
+};
+
+module.exports = {
+  settlePayment,
+};
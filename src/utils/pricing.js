@@ -0,0 +1,214 @@
+// Dynamic pricing - applies a ticket's pricing rules to a base price.
+// Used everywhere a price is shown or charged so the numbers always match.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Percentage of the ticket's capacity that has been sold (0-100)
+const getLoadFactor = (ticket) => {
+  const sold = ticket.soldQuantity || 0;
+  const capacity = sold + (ticket.quantity || 0);
+
+  return capacity > 0 ? (sold / capacity) * 100 : 0;
+};
+
+const matchesRule = (rule, { loadFactor, hoursToDeparture }) => {
+  const conditions = rule.conditions || {};
+
+  if (conditions.minLoadFactor != null && loadFactor < conditions.minLoadFactor) {
+    return false;
+  }
+  if (conditions.maxLoadFactor != null && loadFactor > conditions.maxLoadFactor) {
+    return false;
+  }
+
+  // Time conditions can't match without a departure moment
+  const hasTimeCondition =
+    conditions.minHoursBeforeDeparture != null ||
+    conditions.maxHoursBeforeDeparture != null;
+
+  if (hasTimeCondition && hoursToDeparture == null) {
+    return false;
+  }
+  if (
+    conditions.minHoursBeforeDeparture != null &&
+    hoursToDeparture < conditions.minHoursBeforeDeparture
+  ) {
+    return false;
+  }
+  if (
+    conditions.maxHoursBeforeDeparture != null &&
+    hoursToDeparture > conditions.maxHoursBeforeDeparture
+  ) {
+    return false;
+  }
+
+  return true;
+};
+
+// Highest-priority active rule whose conditions all match (or null)
+const findApplicableRule = (ticket, now = new Date()) => {
+  const rules = (ticket.pricingRules || []).filter((rule) => rule.isActive);
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const departure = ticket.departureDateTime;
+  const context = {
+    loadFactor: getLoadFactor(ticket),
+    hoursToDeparture: departure ? (departure - now) / HOUR_MS : null,
+  };
+
+  return (
+    [...rules]
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+      .find((rule) => matchesRule(rule, context)) || null
+  );
+};
+
+const applyAdjustment = (price, rule) => {
+  const adjusted =
+    rule.adjustmentType === 'percent'
+      ? price * (1 + rule.adjustmentValue / 100)
+      : price + rule.adjustmentValue;
+
+  // Round to 2 decimals and never go below zero
+  return Math.max(0, Math.round(adjusted * 100) / 100);
+};
+
+// Effective unit price for a ticket (and optional fare class) right now.
+// Returns { basePrice, unitPrice, appliedRule }.
+const computeEffectivePrice = (ticket, fareClass = null, now = new Date()) => {
+  const basePrice = fareClass ? fareClass.price : ticket.price;
+  const rule = findApplicableRule(ticket, now);
+
+  if (!rule) {
+    return { basePrice, unitPrice: basePrice, appliedRule: null };
+  }
+
+  return {
+    basePrice,
+    unitPrice: applyAdjustment(basePrice, rule),
+    appliedRule: {
+      ruleId: rule._id,
+      name: rule.name,
+      adjustmentType: rule.adjustmentType,
+      adjustmentValue: rule.adjustmentValue,
+    },
+  };
+};
+
+// Same rules as computeEffectivePrice (ticket price, no fare class) as an
+// aggregation expression, so searches filter, bucket and sort on the price
+// users see. `departureAt` is an expression for the departure instant.
+const effectivePriceExpression = (departureAt, now = new Date()) => {
+  const sold = { $ifNull: ['$soldQuantity', 0] };
+  const capacity = { $add: [sold, { $ifNull: ['$quantity', 0] }] };
+  const isUnset = (field) => ({ $eq: [{ $ifNull: [`$$rule.conditions.${field}`, null] }, null] });
+  const condition = (field) => `$$rule.conditions.${field}`;
+  const priority = (rule) => ({ $ifNull: [`${rule}.priority`, 0] });
+
+  const matchingRules = {
+    $filter: {
+      input: { $ifNull: ['$pricingRules', []] },
+      as: 'rule',
+      cond: {
+        $and: [
+          { $eq: ['$$rule.isActive', true] },
+          { $or: [isUnset('minLoadFactor'), { $gte: ['$$loadFactor', condition('minLoadFactor')] }] },
+          { $or: [isUnset('maxLoadFactor'), { $lte: ['$$loadFactor', condition('maxLoadFactor')] }] },
+          // Time conditions can't match without a departure moment
+          {
+            $or: [
+              isUnset('minHoursBeforeDeparture'),
+              {
+                $and: [
+                  { $ne: ['$$hoursToDeparture', null] },
+                  { $gte: ['$$hoursToDeparture', condition('minHoursBeforeDeparture')] },
+                ],
+              },
+            ],
+          },
+          {
+            $or: [
+              isUnset('maxHoursBeforeDeparture'),
+              {
+                $and: [
+                  { $ne: ['$$hoursToDeparture', null] },
+                  { $lte: ['$$hoursToDeparture', condition('maxHoursBeforeDeparture')] },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    },
+  };
+
+  // Highest priority wins; the earlier rule on a tie (like the stable sort)
+  const applicableRule = {
+    $reduce: {
+      input: matchingRules,
+      initialValue: null,
+      in: {
+        $cond: [
+          {
+            $or: [
+              { $eq: ['$$value', null] },
+              { $gt: [priority('$$this'), priority('$$value')] },
+            ],
+          },
+          '$$this',
+          '$$value',
+        ],
+      },
+    },
+  };
+
+  const adjusted = {
+    $cond: [
+      { $eq: ['$$applied.adjustmentType', 'percent'] },
+      { $multiply: ['$price', { $add: [1, { $divide: ['$$applied.adjustmentValue', 100] }] }] },
+      { $add: ['$price', '$$applied.adjustmentValue'] },
+    ],
+  };
+
+  return {
+    $let: {
+      vars: {
+        loadFactor: {
+          $cond: [
+            { $gt: [capacity, 0] },
+            { $multiply: [{ $divide: [sold, capacity] }, 100] },
+            0,
+          ],
+        },
+        hoursToDeparture: { $divide: [{ $subtract: [departureAt, now] }, HOUR_MS] },
+      },
+      in: {
+        $let: {
+          vars: { applied: applicableRule },
+          in: {
+            $cond: [
+              { $eq: ['$$applied', null] },
+              '$price',
+              // Round to 2 decimals (half up, like Math.round) and never below zero
+              {
+                $max: [
+                  0,
+                  { $divide: [{ $floor: { $add: [{ $multiply: [adjusted, 100] }, 0.5] } }, 100] },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  };
+};
+
+module.exports = {
+  getLoadFactor,
+  findApplicableRule,
+  computeEffectivePrice,
+  effectivePriceExpression,
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+
+// Dashboards ask for JSON; ?format=csv turns the same list into a download
+const wantsCsv = (req) => String(req.query.format || '').toLowerCase() === 'csv';
+
+// File name like "bookings-2025-01-31.csv"
+const exportFileName = (name) => `${name}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+const parseDay = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Shared list filters: ?dateFrom=&dateTo= (inclusive days) on `dateField`
+// and ?ticketId=. Returns { filter } or { error }.
+const parseReportFilters = (query, dateField) => {
+  const filter = {};
+  const { dateFrom, dateTo, ticketId } = query;
+
+  if (dateFrom || dateTo) {
+    const start = dateFrom ? parseDay(dateFrom) : null;
+    const end = dateTo ? parseDay(dateTo) : null;
+
+    if ((dateFrom && !start) || (dateTo && !end)) {
+      return { error: 'Invalid date range' };
+    }
+
+    filter[dateField] = {};
+    if (start) filter[dateField].$gte = start;
+    if (end) {
+      // Whole last day is included
+      end.setUTCHours(0, 0, 0, 0);
+      end.setUTCDate(end.getUTCDate() + 1);
+      filter[dateField].$lt = end;
+    }
+  }
+
+  if (ticketId) {
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+      return { error: 'Invalid ticket filter' };
+    }
+    filter.ticket = new mongoose.Types.ObjectId(ticketId);
+  }
+
+  return { filter };
+};
+
+const route = (from, to) => (from || to ? `${from} → ${to}` : '');
+
+const TICKET_EXPORT_COLUMNS = [
+  { key: 'ticketId', header: 'Ticket ID' },
+  { key: 'title', header: 'Title' },
+  { key: 'route', header: 'Route' },
+  { key: 'transportType', header: 'Transport' },
+  { key: 'departureDate', header: 'Departure Date' },
+  { key: 'departureTime', header: 'Departure Time' },
+  { key: 'price', header: 'Price (BDT)' },
+  { key: 'quantity', header: 'Seats Left' },
+  { key: 'soldQuantity', header: 'Seats Sold' },
+  { key: 'verificationStatus', header: 'Status' },
+  { key: 'isAdvertised', header: 'Advertised' },
+  { key: 'createdAt', header: 'Created At' },
+];
+
+const ticketExportRow = (ticket) => ({
+  ticketId: ticket._id,
+  title: ticket.title,
+  route: route(ticket.fromLocation, ticket.toLocation),
+  transportType: ticket.transportType,
+  departureDate: ticket.departureDate && ticket.departureDate.toISOString().slice(0, 10),
+  departureTime: ticket.departureTime,
+  price: ticket.price,
+  quantity: ticket.quantity,
+  soldQuantity: ticket.soldQuantity,
+  verificationStatus: ticket.verificationStatus,
+  isAdvertised: ticket.isAdvertised ? 'yes' : 'no',
+  createdAt: ticket.createdAt,
+});
+
+// Bookings with passenger and payment status (user/ticket populated;
+// the snapshot covers deleted tickets)
+const BOOKING_EXPORT_COLUMNS = [
+  { key: 'bookingId', header: 'Booking ID' },
+  { key: 'createdAt', header: 'Booked At' },
+  { key: 'ticketTitle', header: 'Ticket' },
+  { key: 'route', header: 'Route' },
+  { key: 'departureDate', header: 'Departure Date' },
+  { key: 'departureTime', header: 'Departure Time' },
+  { key: 'vendorName', header: 'Vendor' },
+  { key: 'passengerName', header: 'Passenger' },
+  { key: 'passengerEmail', header: 'Passenger Email' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'seats', header: 'Seats' },
+  { key: 'travellers', header: 'Travellers' },
+  { key: 'fareClass', header: 'Fare Class' },
+  { key: 'subtotal', header: 'Subtotal (BDT)' },
+  { key: 'discount', header: 'Discount (BDT)' },
+  { key: 'couponCode', header: 'Coupon' },
+  { key: 'totalPrice', header: 'Total (BDT)' },
+  { key: 'status', header: 'Status' },
+  { key: 'paymentStatus', header: 'Payment Status' },
+  { key: 'paidAt', header: 'Paid At' },
+];
+
+const bookingExportRow = (booking) => {
+  const snapshot = booking.ticketSnapshot || {};
+  const ticket = booking.ticket || {};
+  const user = booking.user || {};
+
+  return {
+    bookingId: booking._id,
+    createdAt: booking.createdAt,
+    ticketTitle: snapshot.title || ticket.title,
+    route: route(snapshot.fromLocation, snapshot.toLocation),
+    departureDate: snapshot.departureDate && snapshot.departureDate.toISOString().slice(0, 10),
+    departureTime: snapshot.departureTime,
+    vendorName: ticket.vendorName,
+    passengerName: user.name,
+    passengerEmail: user.email,
+    quantity: booking.bookingQuantity,
+    seats: booking.seats.join(' '),
+    travellers: (booking.passengers || []).map((passenger) => passenger.name).join('; '),
+    fareClass: snapshot.fareClass && snapshot.fareClass.code,
+    subtotal: booking.subtotal ?? booking.totalPrice,
+    discount: booking.discount ? booking.discount.amount : 0,
+    couponCode: booking.discount && booking.discount.code,
+    totalPrice: booking.totalPrice,
+    status: booking.status,
+    paymentStatus: booking.paymentStatus,
+    paidAt: booking.paidAt,
+  };
+};
+
+// Paid bookings, one line per payment
+const REVENUE_EXPORT_COLUMNS = [
+  { key: 'paidAt', header: 'Paid At' },
+  { key: 'bookingId', header: 'Booking ID' },
+  { key: 'ticketTitle', header: 'Ticket' },
+  { key: 'route', header: 'Route' },
+  { key: 'passengerName', header: 'Passenger' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'unitPrice', header: 'Unit Price (BDT)' },
+  { key: 'subtotal', header: 'Subtotal (BDT)' },
+  { key: 'discount', header: 'Discount (BDT)' },
+  { key: 'couponCode', header: 'Coupon' },
+  { key: 'totalPrice', header: 'Revenue (BDT)' },
+  { key: 'paymentIntentId', header: 'Payment Reference' },
+];
+
+const revenueExportRow = (booking) => {
+  const row = bookingExportRow(booking);
+
+  return {
+    ...row,
+    unitPrice: booking.ticketSnapshot ? booking.ticketSnapshot.unitPrice : null,
+    paymentIntentId: booking.paymentIntentId,
+  };
+};
+
+const TRANSACTION_EXPORT_COLUMNS = [
+  { key: 'transactionId', header: 'Transaction ID' },
+  { key: 'createdAt', header: 'Date' },
+  { key: 'bookingId', header: 'Booking ID' },
+  { key: 'ticketTitle', header: 'Ticket' },
+  { key: 'userName', header: 'Customer' },
+  { key: 'userEmail', header: 'Customer Email' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'paymentMethod', header: 'Method' },
+  { key: 'paymentStatus', header: 'Status' },
+];
+
+const transactionExportRow = (transaction) => {
+  const user = transaction.user || {};
+
+  return {
+    transactionId: transaction.transactionId,
+    createdAt: transaction.createdAt,
+    bookingId: transaction.booking && (transaction.booking._id || transaction.booking),
+    ticketTitle: transaction.ticketTitle,
+    userName: user.name,
+    userEmail: user.email,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    paymentMethod: transaction.paymentMethod,
+    paymentStatus: transaction.paymentStatus,
+  };
+};
+
+module.exports = {
+  wantsCsv,
+  exportFileName,
+  parseReportFilters,
+  TICKET_EXPORT_COLUMNS,
+  ticketExportRow,
+  BOOKING_EXPORT_COLUMNS,
+  bookingExportRow,
+  REVENUE_EXPORT_COLUMNS,
+  revenueExportRow,
+  TRANSACTION_EXPORT_COLUMNS,
+  transactionExportRow,
+};
@@ -0,0 +1,228 @@
+const Ticket = require('../models/Ticket');
+const Booking = require('../models/Booking');
+const Schedule = require('../models/Schedule');
+const { buildSeatMap, countBookableSeats } = require('./seatLayouts');
+const { cancelCampaigns } = require('./adCampaigns');
+const { getReviewedPaths, extractRevision } = require('./ticketRevisions');
+const { removeWaitlistEntries } = require('./waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Departure dates are stored as calendar dates (midnight UTC)
+const startOfUTCDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Dates the schedule should have tickets for, from today up to its horizon
+const getUpcomingDates = (schedule, now = new Date()) => {
+  const today = startOfUTCDay(now);
+  const horizon = new Date(today.getTime() + schedule.generateDaysAhead * DAY_MS);
+
+  const from = Math.max(today.getTime(), startOfUTCDay(schedule.startDate).getTime());
+  const to = Math.min(horizon.getTime(), startOfUTCDay(schedule.endDate).getTime());
+
+  const dates = [];
+  for (let time = from; time <= to; time += DAY_MS) {
+    const date = new Date(time);
+    if (schedule.daysOfWeek.includes(date.getUTCDay())) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Ticket fields that come straight from the schedule's route template
+const buildTicketFields = (schedule) => {
+  const { seatMap } = buildSeatMap(schedule.transportType, schedule.seatLayout);
+
+  return {
+    title: schedule.title,
+    image: schedule.image,
+    fromLocation: schedule.fromLocation,
+    toLocation: schedule.toLocation,
+    fromLocationRef: schedule.fromLocationRef,
+    toLocationRef: schedule.toLocationRef,
+    fromTerminal: schedule.fromTerminal,
+    toTerminal: schedule.toTerminal,
+    transportType: schedule.transportType,
+    price: schedule.defaultPrice,
+    quantity: seatMap ? countBookableSeats(seatMap) : schedule.defaultQuantity,
+    departureTime: schedule.departureTime,
+    timeZone: schedule.timeZone,
+    perks: schedule.perks,
+    durationMinutes: schedule.durationMinutes,
+    seatMap,
+  };
+};
+
+// Schedule changes to an approved ticket's route, schedule or listing need
+// the same admin review as a vendor's own edits (request field names)
+const SCHEDULE_EDIT_FIELDS = [
+  'title',
+  'image',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'departureTime',
+  'timeZone',
+  'price',
+  'quantity',
+  'perks',
+  'durationMinutes',
+  'seatLayout',
+];
+
+const getScheduleReviewedPaths = () =>
+  getReviewedPaths(Object.fromEntries(SCHEDULE_EDIT_FIELDS.map((field) => [field, true])));
+
+// Create missing tickets for upcoming departures and refresh (or remove)
+// future tickets that have no bookings yet. Booked tickets are never touched.
+// Approved tickets stay live; reviewed changes wait in their pending revision.
+const generateTicketsForSchedule = async (schedule, now = new Date()) => {
+  const summary = { created: 0, updated: 0, removed: 0, skipped: 0, revised: 0 };
+
+  const dates = schedule.isActive ? getUpcomingDates(schedule, now) : [];
+  const wanted = new Set(dates.map((date) => date.getTime()));
+  const fields = buildTicketFields(schedule);
+
+  // Future tickets already generated for this schedule
+  const existing = await Ticket.find({
+    schedule: schedule._id,
+    departureDate: { $gte: startOfUTCDay(now) },
+  });
+
+  const bookedTicketIds = new Set(
+    (
+      await Booking.distinct('ticket', {
+        ticket: { $in: existing.map((ticket) => ticket._id) },
+      })
+    ).map((id) => id.toString())
+  );
+
+  const existingDates = new Set();
+
+  for (const ticket of existing) {
+    const key = startOfUTCDay(ticket.departureDate).getTime();
+    existingDates.add(key);
+
+    if (bookedTicketIds.has(ticket._id.toString())) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    // Departure no longer part of the schedule
+    if (!wanted.has(key)) {
+      await cancelCampaigns({ ticket: ticket._id }, 'Ticket was deleted');
+      await removeWaitlistEntries(ticket._id);
+      await ticket.deleteOne();
+      summary.removed += 1;
+      continue;
+    }
+
+    const approved = ticket.verificationStatus === 'approved';
+    const reviewedPaths = approved ? getScheduleReviewedPaths() : [];
+    const original = ticket.toObject();
+
+    const { seatMap, quantity, ...otherFields } = fields;
+    ticket.set(otherFields);
+    if (JSON.stringify(ticket.seatMap) !== JSON.stringify(seatMap)) {
+      ticket.seatMap = seatMap;
+    }
+    // A reviewed seat map sets the quantity when it is approved
+    if (!(seatMap && reviewedPaths.includes('seatMap'))) {
+      ticket.quantity = quantity;
+    }
+
+    const directChanges = Object.keys(fields).filter(
+      (path) => !reviewedPaths.includes(path) && ticket.isModified(path)
+    );
+
+    // Keep the approved version live and store the rest as a revision
+    let revised = false;
+    if (approved) {
+      const pendingBefore = JSON.stringify(original.pendingRevision?.changes || []);
+      const changes = extractRevision(ticket, original, reviewedPaths, schedule.vendor);
+
+      if (changes.length > 0) {
+        if (JSON.stringify(ticket.pendingRevision.toObject().changes) === pendingBefore) {
+          // Same changes already wait for review (from an earlier run)
+          ticket.pendingRevision = original.pendingRevision;
+        } else {
+          ticket.moderationHistory.push({
+            action: 'revision-submitted',
+            by: schedule.vendor,
+            byRole: 'system',
+            reason: `Schedule changed: ${changes.map((change) => change.field).join(', ')}`,
+          });
+          revised = true;
+          summary.revised += 1;
+        }
+      }
+    }
+
+    if (directChanges.length > 0 || revised) {
+      await ticket.save();
+      summary.updated += 1;
+    }
+  }
+
+  const newTickets = dates
+    .filter((date) => !existingDates.has(date.getTime()))
+    .map((departureDate) => ({
+      ...fields,
+      departureDate,
+      schedule: schedule._id,
+      vendor: schedule.vendor,
+      vendorName: schedule.vendorName,
+      vendorEmail: schedule.vendorEmail,
+      verificationStatus: 'pending', // Same approval flow as manual tickets
+      moderationHistory: [
+        {
+          action: 'submitted',
+          by: schedule.vendor,
+          byRole: 'system',
+          reason: 'Generated from schedule',
+        },
+      ],
+    }));
+
+  if (newTickets.length > 0) {
+    await Ticket.insertMany(newTickets);
+    summary.created = newTickets.length;
+  }
+
+  schedule.lastGeneratedAt = now;
+  await schedule.save();
+
+  return summary;
+};
+
+// Run the generator for every active schedule (used by the cron script)
+const generateAllSchedules = async (now = new Date()) => {
+  const schedules = await Schedule.find({
+    isActive: true,
+    endDate: { $gte: startOfUTCDay(now) },
+  });
+
+  const results = [];
+  for (const schedule of schedules) {
+    try {
+      const summary = await generateTicketsForSchedule(schedule, now);
+      results.push({ schedule: schedule._id, ...summary });
+    } catch (error) {
+      console.error(`Generate schedule ${schedule._id} error:`, error);
+      results.push({ schedule: schedule._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  getUpcomingDates,
+  generateTicketsForSchedule,
+  generateAllSchedules,
+};
@@ -0,0 +1,62 @@
+const Ticket = require('../models/Ticket');
+
+// Check that the requested seats exist on the ticket, are bookable and
+// belong to the selected fare class (if any).
+// Returns an error message, or null when the selection is valid.
+const validateSeatSelection = (ticket, seatIds, fareClass = null) => {
+  if (!Array.isArray(seatIds) || seatIds.length === 0) {
+    return 'Please select at least one seat';
+  }
+
+  if (new Set(seatIds).size !== seatIds.length) {
+    return 'The same seat was selected more than once';
+  }
+
+  const seats = new Map();
+  ticket.seatMap.rows.forEach((row) =>
+    row.seats.forEach((seat) => seats.set(seat.seatId, seat))
+  );
+
+  for (const seatId of seatIds) {
+    const seat = seats.get(seatId);
+    if (!seat) {
+      return `Seat ${seatId} does not exist on this ticket`;
+    }
+    if (seat.isBlocked) {
+      return `Seat ${seatId} is not available for booking`;
+    }
+    if (fareClass && seat.fareClass && seat.fareClass !== fareClass.code) {
+      return `Seat ${seatId} is not in the ${fareClass.name} class`;
+    }
+  }
+
+  return null;
+};
+
+// Atomically reserve seats - only succeeds if none of them are taken yet.
+// Returns the updated ticket, or null if any seat was already reserved.
+const reserveSeats = async (ticketId, seatIds) => {
+  return Ticket.findOneAndUpdate(
+    { _id: ticketId, reservedSeats: { $nin: seatIds } },
+    { $addToSet: { reservedSeats: { $each: seatIds } } },
+    { new: true }
+  );
+};
+
+// Give seats back (booking rejected or cancelled)
+const releaseSeats = async (ticketId, seatIds) => {
+  if (!seatIds || seatIds.length === 0) {
+    return;
+  }
+
+  await Ticket.updateOne(
+    { _id: ticketId },
+    { $pullAll: { reservedSeats: seatIds } }
+  );
+};
+
+module.exports = {
+  validateSeatSelection,
+  reserveSeats,
+  releaseSeats,
+};
@@ -0,0 +1,167 @@
+// Default seat layout templates per transport type.
+// Vendors can pick a template and override the number of rows or block seats,
+// or send their own rows when the vehicle doesn't match any template.
+const SEAT_LAYOUT_TEMPLATES = {
+  Bus: {
+    name: 'bus-2x2',
+    rows: 10,
+    columns: ['A', 'B', 'C', 'D'],
+    positions: { A: 'window', B: 'aisle', C: 'aisle', D: 'window' },
+  },
+  Train: {
+    name: 'train-2x3',
+    rows: 12,
+    columns: ['A', 'B', 'C', 'D', 'E'],
+    positions: { A: 'window', B: 'aisle', C: 'aisle', D: 'middle', E: 'window' },
+  },
+  Launch: {
+    name: 'launch-cabin-deck',
+    rows: 8,
+    columns: ['C1', 'C2', 'D1', 'D2', 'D3', 'D4'],
+    positions: {
+      C1: 'cabin',
+      C2: 'cabin',
+      D1: 'deck',
+      D2: 'deck',
+      D3: 'deck',
+      D4: 'deck',
+    },
+  },
+  Plane: {
+    name: 'plane-3x3',
+    rows: 30,
+    columns: ['A', 'B', 'C', 'D', 'E', 'F'],
+    positions: {
+      A: 'window',
+      B: 'middle',
+      C: 'aisle',
+      D: 'aisle',
+      E: 'middle',
+      F: 'window',
+    },
+  },
+};
+
+const SEAT_POSITIONS = ['window', 'aisle', 'middle', 'cabin', 'deck'];
+
+// Build a seat map from a template (rows x columns)
+const buildFromTemplate = (template, rowCount, blocked) => {
+  const rows = [];
+
+  for (let i = 1; i <= rowCount; i++) {
+    rows.push({
+      label: String(i),
+      seats: template.columns.map((column) => {
+        const seatId = `${i}${column}`;
+        return {
+          seatId,
+          label: seatId,
+          position: template.positions[column],
+          isBlocked: blocked.has(seatId),
+        };
+      }),
+    });
+  }
+
+  return rows;
+};
+
+// Build a seat map from custom rows sent by the vendor. Seats are plain
+// IDs or objects with a seatId or label. Returns { rows } or { error }.
+const buildFromRows = (customRows, blocked) => {
+  const rows = [];
+
+  for (const [index, row] of customRows.entries()) {
+    const rowLabel = String(row.label || index + 1);
+    const seats = [];
+
+    for (const seat of row.seats || []) {
+      const isObject = seat !== null && typeof seat === 'object';
+      if (isObject && !seat.seatId && !seat.label) {
+        return { error: `Seat in row ${rowLabel} needs a seatId or label` };
+      }
+
+      const seatId = String(isObject ? seat.seatId || seat.label : seat).trim();
+      seats.push({
+        seatId,
+        label: (isObject && seat.label) || seatId,
+        position: SEAT_POSITIONS.includes(seat.position)
+          ? seat.position
+          : undefined,
+        isBlocked: Boolean(seat.isBlocked) || blocked.has(seatId),
+        fareClass: seat.fareClass
+          ? String(seat.fareClass).trim().toUpperCase()
+          : undefined,
+      });
+    }
+
+    rows.push({ label: rowLabel, seats });
+  }
+
+  return { rows };
+};
+
+// Turn the `seatLayout` request field into a seat map for the Ticket model.
+// Returns { seatMap } on success or { error } with a user-facing message.
+const buildSeatMap = (transportType, seatLayout) => {
+  if (!seatLayout) {
+    return { seatMap: null };
+  }
+
+  const blocked = new Set((seatLayout.blockedSeats || []).map(String));
+  let rows;
+  let templateName = 'custom';
+
+  if (Array.isArray(seatLayout.rows) && seatLayout.rows.length > 0) {
+    const custom = buildFromRows(seatLayout.rows, blocked);
+    if (custom.error) {
+      return { error: custom.error };
+    }
+    rows = custom.rows;
+  } else {
+    const template = SEAT_LAYOUT_TEMPLATES[transportType];
+    if (!template) {
+      return { error: `No seat layout template for transport type: ${transportType}` };
+    }
+
+    const rowCount = parseInt(seatLayout.rowCount) || template.rows;
+    if (rowCount < 1 || rowCount > 100) {
+      return { error: 'Row count must be between 1 and 100' };
+    }
+
+    rows = buildFromTemplate(template, rowCount, blocked);
+    templateName = template.name;
+  }
+
+  // Seat IDs must be unique across the whole map
+  const seen = new Set();
+  for (const row of rows) {
+    for (const seat of row.seats) {
+      if (!seat.seatId || seen.has(seat.seatId)) {
+        return { error: `Duplicate or empty seat ID: ${seat.seatId}` };
+      }
+      seen.add(seat.seatId);
+    }
+  }
+
+  return { seatMap: { template: templateName, rows } };
+};
+
+// Number of seats that can be sold (not blocked)
+const countBookableSeats = (seatMap) => {
+  if (!seatMap || !seatMap.rows) {
+    return 0;
+  }
+
+  return seatMap.rows.reduce(
+    (sum, row) => sum + row.seats.filter((seat) => !seat.isBlocked).length,
+    0
+  );
+};
+
+module.exports = {
+  SEAT_LAYOUT_TEMPLATES,
+  SEAT_POSITIONS,
+  buildSeatMap,
+  countBookableSeats,
+};
@@ -0,0 +1,67 @@
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  STORAGE_DRIVER,
+  UPLOAD_DIR,
+  UPLOAD_PUBLIC_URL,
+} = require('../config/uploads');
+
+// Every storage backend exposes the same three calls:
+//   save(key, buffer, contentType) -> { key, url }
+//   remove(key)
+//   getUrl(key)
+// Keys are relative paths like "tickets/<assetId>/card.webp".
+
+const localDiskStorage = (rootDir, publicUrl) => {
+  // Keep keys inside the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const getUrl = (key) => `${publicUrl}/${key}`;
+
+  return {
+    name: 'local',
+    rootDir,
+
+    getUrl,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: getUrl(key) };
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+const drivers = {
+  local: () => localDiskStorage(UPLOAD_DIR, UPLOAD_PUBLIC_URL),
+};
+
+let storage;
+
+// Storage backend selected with STORAGE_DRIVER (default: local disk)
+const getStorage = () => {
+  if (!storage) {
+    const createDriver = drivers[STORAGE_DRIVER];
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+    }
+    storage = createDriver();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  localDiskStorage,
+};
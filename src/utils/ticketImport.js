@@ -0,0 +1,290 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Ticket = require('../models/Ticket');
+const { resolveRoute } = require('./locationResolver');
+
+// Columns understood in an import file (header names are matched
+// case-insensitively, ignoring spaces, dashes and underscores)
+const IMPORT_COLUMNS = [
+  'title',
+  'image',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'price',
+  'quantity',
+  'departureDate',
+  'departureTime',
+  'timeZone',
+  'perks',
+  'durationMinutes',
+];
+
+const REQUIRED_COLUMNS = [
+  'title',
+  'image',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'price',
+  'quantity',
+  'departureDate',
+  'departureTime',
+];
+
+const MAX_IMPORT_ROWS = 500;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const normalizeHeader = (header) =>
+  String(header || '').toLowerCase().replace(/[\s_-]/g, '');
+
+const COLUMN_BY_HEADER = new Map(
+  IMPORT_COLUMNS.map((column) => [normalizeHeader(column), column])
+);
+
+// Spreadsheet cells can hold dates, formulas, rich text or hyperlinks
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellToValue(value.result);
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellToValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+const readCsv = (buffer) =>
+  parse(buffer, {
+    bom: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let column = 1; column <= row.cellCount; column += 1) {
+      values.push(cellToValue(row.getCell(column).value));
+    }
+    records.push(values);
+  });
+
+  return records;
+};
+
+// Read an uploaded CSV/XLSX file into rows keyed by ticket field.
+// Returns { format, rows: [{ rowNumber, raw }] } or { error }.
+const parseTicketFile = async (file) => {
+  const format = path.extname(file.originalname).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv';
+
+  let records;
+  try {
+    records = format === 'xlsx' ? await readXlsx(file.buffer) : readCsv(file.buffer);
+  } catch (error) {
+    return { error: `Could not read ${format.toUpperCase()} file: ${error.message}` };
+  }
+
+  if (records.length < 2) {
+    return { error: 'File must have a header row and at least one ticket row' };
+  }
+
+  const [headerRow, ...dataRows] = records;
+  const columns = headerRow.map((header) => COLUMN_BY_HEADER.get(normalizeHeader(header)));
+
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing required columns: ${missing.join(', ')}` };
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} tickets` };
+  }
+
+  const rows = dataRows.map((values, index) => {
+    const raw = {};
+    columns.forEach((column, columnIndex) => {
+      if (column) raw[column] = values[columnIndex] ?? '';
+    });
+    return { rowNumber: index + 2, raw };
+  });
+
+  return { format, rows };
+};
+
+// Spreadsheet dates arrive as Date objects, CSV dates as YYYY-MM-DD text
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  const text = String(value).trim();
+  if (!DATE_PATTERN.test(text)) {
+    return null;
+  }
+
+  const date = new Date(`${text}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Spreadsheet times arrive as Dates on 1899-12-30 (UTC)
+const parseTime = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().slice(11, 16);
+  }
+
+  const text = String(value).trim();
+  if (!TIME_PATTERN.test(text)) {
+    return null;
+  }
+
+  return text.padStart(5, '0');
+};
+
+const parseNumber = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(String(value).replace(/,/g, ''));
+  return isNaN(number) ? NaN : number;
+};
+
+// Check one imported row and build the ticket it would create.
+// Returns { ticket, issues } - the ticket is only usable when issues is empty.
+const validateImportRow = async (raw, vendor, now = new Date()) => {
+  const issues = [];
+  const text = (field) => String(raw[field] ?? '').trim();
+
+  REQUIRED_COLUMNS.forEach((field) => {
+    if (text(field) === '') {
+      issues.push({ field, message: `${field} is required` });
+    }
+  });
+
+  if (issues.length > 0) {
+    return { ticket: null, issues };
+  }
+
+  const departureDate = parseDate(raw.departureDate);
+  if (!departureDate) {
+    issues.push({ field: 'departureDate', message: 'Date must be in YYYY-MM-DD format' });
+  }
+
+  const departureTime = parseTime(raw.departureTime);
+  if (!departureTime) {
+    issues.push({ field: 'departureTime', message: 'Time must be in HH:mm format' });
+  }
+
+  const numbers = {};
+  ['price', 'quantity', 'durationMinutes'].forEach((field) => {
+    numbers[field] = parseNumber(raw[field]);
+    if (Number.isNaN(numbers[field])) {
+      issues.push({ field, message: `${field} must be a number` });
+    }
+  });
+
+  // Catalog lookup for both ends of the route
+  const { fields: routeFields, error: routeError } = await resolveRoute(
+    text('fromLocation'),
+    text('toLocation'),
+    text('transportType')
+  );
+
+  if (routeError) {
+    issues.push({ field: 'route', message: routeError });
+  }
+
+  const ticket = new Ticket({
+    title: text('title'),
+    image: text('image'),
+    ...(routeFields || { fromLocation: text('fromLocation'), toLocation: text('toLocation') }),
+    transportType: text('transportType'),
+    price: numbers.price,
+    quantity: numbers.quantity,
+    departureDate,
+    departureTime,
+    // Blank -> schema default
+    timeZone: text('timeZone') || undefined,
+    perks: text('perks')
+      .split(/[|;,]/)
+      .map((perk) => perk.trim())
+      .filter(Boolean),
+    durationMinutes: numbers.durationMinutes,
+    vendor: vendor._id,
+    vendorName: vendor.name,
+    vendorEmail: vendor.email,
+    verificationStatus: 'pending',
+    moderationHistory: [{ action: 'submitted', by: vendor._id, byRole: 'vendor' }],
+  });
+
+  // Schema rules (enums, minimums, required fields)
+  try {
+    await ticket.validate();
+  } catch (error) {
+    if (!error.errors) throw error;
+
+    Object.values(error.errors).forEach((fieldError) => {
+      // Already reported above with a clearer message
+      if (issues.some((issue) => issue.field === fieldError.path)) return;
+      issues.push({ field: fieldError.path, message: fieldError.message });
+    });
+  }
+
+  if (issues.length === 0 && ticket.departureDateTime <= now) {
+    issues.push({ field: 'departureDate', message: 'Departure is in the past' });
+  }
+
+  return { ticket, issues };
+};
+
+// Same departure listed twice in one file
+const duplicateKey = (raw) =>
+  ['title', 'fromLocation', 'toLocation', 'departureDate', 'departureTime']
+    .map((field) => {
+      const value = raw[field];
+      return value instanceof Date ? value.toISOString() : String(value ?? '').trim().toLowerCase();
+    })
+    .join('|');
+
+// Validate every parsed row. Returns [{ rowNumber, raw, issues, ticket }].
+const validateImportRows = async (rows, vendor, now = new Date()) => {
+  const seen = new Map();
+  const results = [];
+
+  for (const row of rows) {
+    const { ticket, issues } = await validateImportRow(row.raw, vendor, now);
+
+    const key = duplicateKey(row.raw);
+    if (seen.has(key)) {
+      issues.push({ field: null, message: `Duplicate of row ${seen.get(key)}` });
+    } else {
+      seen.set(key, row.rowNumber);
+    }
+
+    results.push({ rowNumber: row.rowNumber, raw: row.raw, issues, ticket });
+  }
+
+  return results;
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseTicketFile,
+  validateImportRow,
+  validateImportRows,
+};
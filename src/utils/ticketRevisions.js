@@ -0,0 +1,100 @@
+const { EDITABLE_FIELDS, getDirectEditFields } = require('../config/ticketRevisions');
+const { countBookableSeats } = require('./seatLayouts');
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Ticket paths touched by this update that need admin review
+const getReviewedPaths = (body) => {
+  const directFields = getDirectEditFields();
+  const paths = new Set();
+
+  Object.keys(EDITABLE_FIELDS).forEach((field) => {
+    if (body[field] !== undefined && !directFields.includes(field)) {
+      EDITABLE_FIELDS[field].forEach((path) => paths.add(path));
+    }
+  });
+
+  return [...paths];
+};
+
+// Move reviewed changes off the live ticket and into its pending revision.
+// `original` is ticket.toObject() taken before the update was applied.
+// Returns the list of changes that now wait for review.
+const extractRevision = (ticket, original, paths, userId) => {
+  const changes = [];
+
+  paths.forEach((path) => {
+    const current = ticket.get(path);
+    const plain = current && current.toObject ? current.toObject() : current;
+
+    if (!isSameValue(plain, original[path])) {
+      changes.push({ field: path, from: original[path], to: plain });
+      // Live ticket keeps the approved value
+      ticket.set(path, original[path]);
+    }
+  });
+
+  if (changes.length === 0) {
+    return changes;
+  }
+
+  // Merge with an earlier pending revision - the newest value wins
+  const previous = ticket.pendingRevision ? ticket.pendingRevision.changes : [];
+  const merged = new Map(previous.map((change) => [change.field, change]));
+  changes.forEach((change) => {
+    const earlier = merged.get(change.field);
+    merged.set(change.field, {
+      field: change.field,
+      from: earlier ? earlier.from : change.from,
+      to: change.to,
+    });
+  });
+
+  ticket.pendingRevision = {
+    changes: [...merged.values()],
+    submittedAt: new Date(),
+    submittedBy: userId,
+  };
+
+  return changes;
+};
+
+// Tickets left to sell with a seat map: its bookable seats minus the ones
+// already sold (held tickets come off when their bookings are paid)
+const seatMapQuantity = (ticket, seatMap) =>
+  Math.max(countBookableSeats(seatMap) - (ticket.soldQuantity || 0), 0);
+
+// Copy an approved revision onto the live ticket. A new seat map sets the
+// quantity from what is sold by now, not from when the revision was made.
+// Returns an error message when the new layout is too small, else null.
+const applyRevision = (ticket, now = new Date()) => {
+  const { changes } = ticket.pendingRevision;
+  const seatMapChange = changes.find((change) => change.field === 'seatMap' && change.to);
+
+  if (seatMapChange) {
+    const capacity = countBookableSeats(seatMapChange.to);
+    const taken = (ticket.soldQuantity || 0) + ticket.getHeldQuantity(null, now);
+    if (capacity < taken) {
+      return `The new seat layout has ${capacity} seats but ${taken} tickets are already sold or held`;
+    }
+  }
+
+  changes.forEach((change) => {
+    // Revisions made before quantity was left out of seat map changes
+    if (seatMapChange && change.field === 'quantity') return;
+    ticket.set(change.field, change.to);
+  });
+
+  if (seatMapChange) {
+    ticket.quantity = seatMapQuantity(ticket, seatMapChange.to);
+  }
+  ticket.pendingRevision = null;
+  return null;
+};
+
+module.exports = {
+  getReviewedPaths,
+  extractRevision,
+  applyRevision,
+  seatMapQuantity,
+};
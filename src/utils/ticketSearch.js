@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const escapeRegex = require('./escapeRegex');
+const { DEFAULT_TIMEZONE } = require('../config/time');
+const { availableQuantityExpression } = require('./inventoryHolds');
+
+// Price bucket boundaries (BDT) used for the price facet
+const PRICE_BUCKETS = [0, 500, 1000, 2000, 5000, 10000];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Accept both `a,b` and repeated query params
+const toList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map((item) => item.trim()).filter(Boolean);
+};
+
+const startOfUTCDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Match a route end by catalog reference, or by text for tickets that
+// have not been linked to the catalog yet
+const locationFilter = (field, input, location) => {
+  if (!location) {
+    return { [field]: { $regex: escapeRegex(String(input).trim()), $options: 'i' } };
+  }
+
+  return {
+    $or: [
+      { [`${field}Ref`]: location._id },
+      { [field]: { $regex: `^${escapeRegex(location.name)}$`, $options: 'i' } },
+    ],
+  };
+};
+
+// Turn GET /api/tickets query params into aggregation $match stages and a
+// $sort. `locations` holds catalog matches for the from/to params (if any).
+// Returns { match, priceMatch, sort } or { error }.
+const buildTicketSearch = (params, locations = {}, now = new Date()) => {
+  const {
+    search,
+    from,
+    to,
+    transportType,
+    date,
+    dateFrom,
+    dateTo,
+    minPrice,
+    maxPrice,
+    departAfter,
+    departBefore,
+    perks,
+    vendor,
+    sortBy,
+  } = params;
+
+  // Only bookable tickets: approved, not cancelled, seats left, not departed yet
+  const match = {
+    verificationStatus: 'approved',
+    isCancelled: { $ne: true },
+    quantity: { $gt: 0 },
+    departureDate: { $gte: startOfUTCDay(now) },
+  };
+  // Tickets held for unpaid bookings are not available to others
+  const and = [{ $expr: { $gt: [availableQuantityExpression(now), 0] } }];
+
+  // Free-text search on either location (kept for older clients)
+  if (search) {
+    const pattern = escapeRegex(String(search).trim());
+    and.push({
+      $or: [
+        { fromLocation: { $regex: pattern, $options: 'i' } },
+        { toLocation: { $regex: pattern, $options: 'i' } },
+      ],
+    });
+  }
+
+  if (from) {
+    and.push(locationFilter('fromLocation', from, locations.fromLocation));
+  }
+  if (to) {
+    and.push(locationFilter('toLocation', to, locations.toLocation));
+  }
+
+  const transportTypes = toList(transportType).filter((type) => type !== 'all');
+  if (transportTypes.length > 0) {
+    match.transportType = { $in: transportTypes };
+  }
+
+  // Single date or date range
+  if (date || dateFrom || dateTo) {
+    const start = startOfUTCDay(date || dateFrom || now);
+    const end = startOfUTCDay(date || dateTo || start);
+
+    if (!start || !end) {
+      return { error: 'Invalid date filter' };
+    }
+
+    end.setUTCDate(end.getUTCDate() + 1);
+    match.departureDate = {
+      $gte: new Date(Math.max(start, match.departureDate.$gte)),
+      $lt: end,
+    };
+  }
+
+  // Prices are matched on the effective price (after pricing rules), which
+  // the pipeline adds as `effectivePrice` - so this is a separate stage
+  let priceMatch = null;
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = Number(minPrice);
+    if (maxPrice !== undefined) price.$lte = Number(maxPrice);
+
+    if (isNaN(price.$gte ?? 0) || isNaN(price.$lte ?? 0)) {
+      return { error: 'Invalid price filter' };
+    }
+    priceMatch = { effectivePrice: price };
+  }
+
+  // Departure time window - tickets store zero-padded HH:mm, which compares
+  // correctly as text
+  if (departAfter || departBefore) {
+    if (
+      (departAfter && !TIME_PATTERN.test(departAfter)) ||
+      (departBefore && !TIME_PATTERN.test(departBefore))
+    ) {
+      return { error: 'Departure time filters must be in HH:mm format' };
+    }
+
+    match.departureTime = {};
+    if (departAfter) match.departureTime.$gte = departAfter;
+    if (departBefore) match.departureTime.$lte = departBefore;
+  }
+
+  // Ticket must offer every requested perk
+  const perkList = toList(perks);
+  if (perkList.length > 0) {
+    match.perks = { $all: perkList };
+  }
+
+  if (vendor) {
+    if (!mongoose.Types.ObjectId.isValid(vendor)) {
+      return { error: 'Invalid vendor filter' };
+    }
+    match.vendor = new mongoose.Types.ObjectId(vendor);
+  }
+
+  if (and.length > 0) {
+    match.$and = and;
+  }
+
+  // Sort options
+  let sort;
+  if (sortBy === 'price-low') {
+    sort = { effectivePrice: 1, _id: 1 }; // Low to High
+  } else if (sortBy === 'price-high') {
+    sort = { effectivePrice: -1, _id: 1 }; // High to Low
+  } else if (sortBy === 'departure') {
+    sort = { departureDate: 1, departureTime: 1, _id: 1 }; // Soonest first
+  } else if (sortBy === 'departure-desc') {
+    sort = { departureDate: -1, departureTime: -1, _id: 1 };
+  } else {
+    sort = { createdAt: -1, _id: 1 }; // Latest first (default)
+  }
+
+  return { match, priceMatch, sort };
+};
+
+// Departure instant inside the pipeline: the stored value, or rebuilt
+// from date + HH:mm in the ticket's timezone for unmigrated tickets
+const timePart = (start) => ({
+  $convert: {
+    input: { $substrBytes: ['$departureTime', start, 2] },
+    to: 'int',
+    onError: 0,
+    onNull: 0,
+  },
+});
+
+const departureMomentExpression = {
+  $ifNull: [
+    '$departureAt',
+    {
+      $dateFromParts: {
+        year: { $year: '$departureDate' },
+        month: { $month: '$departureDate' },
+        day: { $dayOfMonth: '$departureDate' },
+        hour: timePart(0),
+        minute: timePart(3),
+        timezone: { $ifNull: ['$timeZone', DEFAULT_TIMEZONE] },
+      },
+    },
+  ],
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  buildTicketSearch,
+  departureMomentExpression,
+};
@@ -0,0 +1,120 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Booking = require('../models/Booking');
+const Transaction = require('../models/Transaction');
+const { releaseBookingResources } = require('./bookingRelease');
+const { statusEvent, recordStatus } = require('./bookingLifecycle');
+
+// Refund a paid booking through Stripe and mark its transactions refunded.
+// The idempotency key makes a retry after a failure safe.
+const refundBooking = async (booking, actor, reason) => {
+  const transaction = await Transaction.findOne({
+    booking: booking._id,
+    paymentStatus: 'completed',
+  });
+  const paymentIntentId = transaction?.stripePaymentIntentId || booking.paymentIntentId;
+
+  if (!paymentIntentId) {
+    throw new Error('No payment reference to refund');
+  }
+
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: paymentIntentId,
+      reason: 'requested_by_customer',
+      metadata: { bookingId: booking._id.toString(), reason },
+    },
+    { idempotencyKey: `trip-cancel-refund-${booking._id}` }
+  );
+  const refundedAt = new Date();
+
+  booking.paymentStatus = 'refunded';
+  booking.refund = {
+    stripeRefundId: refund.id,
+    amount: booking.totalPrice,
+    reason,
+    refundedAt,
+  };
+  recordStatus(booking, 'cancelled', actor, reason);
+  await booking.save();
+
+  await Transaction.updateMany(
+    { booking: booking._id, paymentStatus: 'completed' },
+    { paymentStatus: 'refunded', refundId: refund.id, refundedAt, refundReason: reason }
+  );
+
+  return refund;
+};
+
+// Cancel every open booking of a cancelled trip: unpaid ones are cancelled
+// and their seats/coupons released, paid ones are refunded. Bookings whose
+// refund fails stay paid so the cancellation can be run again.
+// Returns { summary, bookings: [one line per booking] }.
+const cancelTripBookings = async (ticket, actor, reason) => {
+  const bookings = await Booking.find({
+    ticket: ticket._id,
+    status: { $in: ['pending', 'accepted', 'paid'] },
+  }).populate('user', 'name email');
+
+  const summary = {
+    cancelledBookings: 0,
+    refundedBookings: 0,
+    refundedAmount: 0,
+    failedRefunds: 0,
+  };
+  const lines = [];
+
+  for (let booking of bookings) {
+    const line = {
+      bookingId: booking._id,
+      passengerName: booking.user?.name,
+      passengerEmail: booking.user?.email,
+      previousStatus: booking.status,
+      amount: booking.totalPrice,
+    };
+
+    if (booking.paymentStatus !== 'paid') {
+      // Status check - the scheduler or a payment may have got there first
+      const cancelled = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: booking.status, paymentStatus: { $ne: 'paid' } },
+        {
+          $set: { status: 'cancelled' },
+          $push: { statusHistory: statusEvent('cancelled', actor, reason) },
+        }
+      );
+
+      if (cancelled) {
+        summary.cancelledBookings += 1;
+        lines.push({ ...line, outcome: 'cancelled' });
+        await releaseBookingResources(booking);
+        continue;
+      }
+
+      // A payment that settled in the meantime is refunded below
+      booking = await Booking.findById(booking._id);
+      if (booking?.status !== 'paid' || booking.paymentStatus !== 'paid') {
+        lines.push({ ...line, outcome: 'skipped', error: 'Booking changed during cancellation' });
+        continue;
+      }
+    }
+
+    try {
+      const refund = await refundBooking(booking, actor, reason);
+      summary.refundedBookings += 1;
+      summary.refundedAmount += booking.totalPrice;
+      lines.push({ ...line, outcome: 'refunded', refundId: refund.id });
+    } catch (error) {
+      summary.failedRefunds += 1;
+      lines.push({ ...line, outcome: 'refund-failed', error: error.message });
+      continue;
+    }
+
+    await releaseBookingResources(booking);
+  }
+
+  return { summary, bookings: lines };
+};
+
+module.exports = {
+  refundBooking,
+  cancelTripBookings,
+};
@@ -0,0 +1,176 @@
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getDepartureAt, hasDeparted } = require('./departureTime');
+const { WAITLIST_CLAIM_MINUTES } = require('../config/bookings');
+
+// Entries still in the queue
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const classKey = (fareClassCode) => String(fareClassCode || '').trim().toUpperCase();
+
+// Tickets that can be booked right now in a fare class: quantity left
+// after holds, and free seats for tickets with a seat map
+const getAvailableQuantity = (ticket, fareClassCode = '') => {
+  const fareClass = ticket.getFareClass(fareClassCode);
+  let available = fareClass ? fareClass.availableQuantity : ticket.availableQuantity;
+
+  if (ticket.hasSeatMap) {
+    const reserved = new Set(ticket.reservedSeats || []);
+    let freeSeats = 0;
+    ticket.seatMap.rows.forEach((row) =>
+      row.seats.forEach((seat) => {
+        if (seat.isBlocked || reserved.has(seat.seatId)) return;
+        if (fareClass && seat.fareClass && seat.fareClass !== fareClass.code) return;
+        freeSeats += 1;
+      })
+    );
+    available = Math.min(available, freeSeats);
+  }
+
+  return Math.max(available || 0, 0);
+};
+
+// Seats currently offered to waitlisted users (kept for them while the
+// offer runs), optionally leaving out one user's own offer
+const getOfferedQuantity = async (ticketId, fareClassCode = '', excludeUserId = null, now = new Date()) => {
+  const offers = await WaitlistEntry.find({
+    ticket: ticketId,
+    status: 'offered',
+    offerExpiresAt: { $gt: now },
+    ...(excludeUserId ? { user: { $ne: excludeUserId } } : {}),
+  }).select('quantity fareClass');
+
+  return offers
+    .filter((offer) => classKey(offer.fareClass) === classKey(fareClassCode))
+    .reduce((sum, offer) => sum + offer.quantity, 0);
+};
+
+// Offer free seats to waiting users in the order they joined. The queue of
+// each fare class stops at the first entry that does not fit, so a large
+// request is not skipped over by later, smaller ones.
+// Returns the number of new offers.
+const processWaitlist = async (ticketId, now = new Date()) => {
+  const ticket = await Ticket.findById(ticketId);
+
+  // Trip gone, cancelled or departed - nobody will get seats
+  if (
+    !ticket ||
+    ticket.isCancelled ||
+    ticket.verificationStatus !== 'approved' ||
+    hasDeparted(ticket, now)
+  ) {
+    await WaitlistEntry.updateMany(
+      { ticket: ticketId, status: { $in: OPEN_WAITLIST_STATUSES } },
+      { status: 'cancelled', note: 'Ticket is no longer available' }
+    );
+    return 0;
+  }
+
+  await WaitlistEntry.updateMany(
+    { ticket: ticketId, status: 'offered', offerExpiresAt: { $lte: now } },
+    { status: 'expired', note: 'Offer was not claimed in time' }
+  );
+
+  const entries = await WaitlistEntry.find({
+    ticket: ticketId,
+    status: { $in: OPEN_WAITLIST_STATUSES },
+  }).sort({ createdAt: 1 });
+
+  // Free seats per fare class, less what running offers keep
+  const free = new Map();
+  const freeFor = (key) => {
+    if (!free.has(key)) free.set(key, getAvailableQuantity(ticket, key));
+    return free.get(key);
+  };
+  entries
+    .filter((entry) => entry.status === 'offered')
+    .forEach((entry) => {
+      const key = classKey(entry.fareClass);
+      free.set(key, freeFor(key) - entry.quantity);
+    });
+
+  const departureAt = getDepartureAt(ticket);
+  const claimUntil = new Date(now.getTime() + WAITLIST_CLAIM_MINUTES * 60 * 1000);
+  const offerExpiresAt = departureAt && departureAt < claimUntil ? departureAt : claimUntil;
+  const stopped = new Set();
+  let offered = 0;
+
+  for (const entry of entries) {
+    const key = classKey(entry.fareClass);
+    if (entry.status !== 'waiting' || stopped.has(key)) continue;
+
+    if (entry.quantity > freeFor(key)) {
+      stopped.add(key);
+      continue;
+    }
+
+    const result = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', offeredAt: now, offerExpiresAt }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    free.set(key, freeFor(key) - entry.quantity);
+    offered += 1;
+  }
+
+  return offered;
+};
+
+// Expire offers nobody claimed and pass their seats on (lifecycle scheduler).
+// Returns the number of expired offers.
+const expireWaitlistOffers = async (now = new Date()) => {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: now },
+  }).select('ticket');
+
+  const ticketIds = [...new Set(expired.map((entry) => entry.ticket.toString()))];
+  for (const ticketId of ticketIds) {
+    await processWaitlist(ticketId, now);
+  }
+
+  return expired.length;
+};
+
+// A waitlisted user booked the ticket in the class they waited for - that
+// entry is done (entries for other classes keep their place)
+const claimWaitlistOffer = (ticketId, userId, fareClassCode, bookingId, now = new Date()) =>
+  WaitlistEntry.updateOne(
+    {
+      ticket: ticketId,
+      user: userId,
+      fareClass: classKey(fareClassCode),
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    },
+    { status: 'claimed', claimedAt: now, booking: bookingId }
+  );
+
+// Ticket deleted before anyone booked it - its queue goes with it
+const removeWaitlistEntries = (ticketId) => WaitlistEntry.deleteMany({ ticket: ticketId });
+
+// Open waitlist size per ticket: Map(ticketId -> { entries, seats })
+const getWaitlistDemand = async (ticketIds) => {
+  const groups = await WaitlistEntry.aggregate([
+    { $match: { ticket: { $in: ticketIds }, status: { $in: OPEN_WAITLIST_STATUSES } } },
+    { $group: { _id: '$ticket', entries: { $sum: 1 }, seats: { $sum: '$quantity' } } },
+  ]);
+
+  return new Map(
+    groups.map((group) => [
+      group._id.toString(),
+      { entries: group.entries, seats: group.seats },
+    ])
+  );
+};
+
+module.exports = {
+  OPEN_WAITLIST_STATUSES,
+  getAvailableQuantity,
+  getOfferedQuantity,
+  processWaitlist,
+  expireWaitlistOffers,
+  claimWaitlistOffer,
+  removeWaitlistEntries,
+  getWaitlistDemand,
+};